@@ -7,6 +7,7 @@ export default class Failure {
 	value = null;
 	key = null;
 	stack = null;
+	severity = null;
 
 	static arrayFromSuperstructError(error) {
 		if (error === undefined) {
@@ -21,8 +22,9 @@ export default class Failure {
 		return new Failure({ message, value, key, path, explanation });
 	}
 
-	constructor({ message, value, key, path, explanation, stack }) {
+	constructor({ message, value, key, path, explanation, stack, severity }) {
 		this.message = message;
+		if (severity) { this.severity = severity; }
 		if (value) { this.value = value; }
 		if (stack) { this.stack = stack; }
 		if (key) { this.key = key; }
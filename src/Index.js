@@ -29,15 +29,24 @@ export const detectResourceType = (resource) => {
 	if (typeof resource.type === 'string') {
 		return 'exchanges';
 	}
+	if (typeof resource.component === 'string') {
+		return 'parameters';
+	}
+	if (typeof resource.pattern === 'string' && typeof resource.definition === 'object') {
+		return 'policies';
+	}
 	if (typeof resource.vhost === 'string' && typeof resource.durable === 'boolean') {
 		return 'queues';
 	}
-	if (typeof resource.name === 'string') {
-		return 'vhosts';
+	if (typeof resource.name === 'string' && resource.value !== undefined && resource.vhost === undefined) {
+		return 'global_parameters';
 	}
 	if (typeof resource.password_hash === 'string') {
 		return 'users';
 	}
+	if (typeof resource.name === 'string') {
+		return 'vhosts';
+	}
 	if (typeof resource.configure === 'string') {
 		return 'permissions';
 	}
@@ -124,13 +133,13 @@ export const isIgnored = {
 		return index.vhosts.has({ name: item.vhost }) || index.users.has({ name: item.user }) || index.exchanges.has({ vhost: item.vhost, name: item.exchange });
 	},
 	parameters: (index, item) => {
-		return index.vhosts.has({ name: item.vhost });
+		return index.vhosts.has({ name: item.vhost }) || index.parameters.has(item);
 	},
-	global_parameters: (/*index, item*/) => {
-		return false;
+	global_parameters: (index, item) => {
+		return index.global_parameters.has(item);
 	},
 	policies: (index, item) => {
-		return index.vhosts.has({ name: item.vhost });
+		return index.vhosts.has({ name: item.vhost }) || index.policies.has(item);
 	},
 	queues: (index, item) => {
 		return index.vhosts.has({ name: item.vhost }) || index.queues.has(item);
@@ -165,6 +174,9 @@ class Index {
 			/queues/{vhost}/{queue.name}
 			/exchanges/{vhost}/{exchange.name}
 			/users/{user.name}
+			/policies/{vhost}/{policy.name}
+			/parameters/{component}/{vhost}/{parameter.name}
+			/global-parameters/{global_parameter.name}
 		*/
 		ignoreList
 			.map((row) => {
@@ -175,9 +187,15 @@ class Index {
 				if (type === 'vhosts' || type === 'users') {
 					return index[type].add({ name: args[0] });
 				}
-				if (type === 'queues' || type === 'exchanges') {
+				if (type === 'queues' || type === 'exchanges' || type === 'policies') {
 					return index[type].add({ vhost: args[0], name: args[1] });
 				}
+				if (type === 'parameters') {
+					return index[type].add({ component: args[0], vhost: args[1], name: args[2] });
+				}
+				if (type === 'global-parameters') {
+					return index.global_parameters.add({ name: args[0] });
+				}
 				throw new Error(`Invalid type: "${type}"`);
 			});
 
@@ -241,9 +259,9 @@ class Index {
 			vhosts: new HashSet(key.vhosts),
 			permissions: new HashSet(key.permissions, pushToResourceByVhost),
 			topic_permissions: new HashSet(key.topic_permissions, pushToResourceByVhost),
-			parameters: new HashSet(key.parameters), /* not deployed */
-			global_parameters: new HashSet(key.global_parameters), /* not deployed */
-			policies: new HashSet(key.policies), /* not deployed */
+			parameters: new HashSet(key.parameters),
+			global_parameters: new HashSet(key.global_parameters),
+			policies: new HashSet(key.policies),
 			queues: new HashSet(key.queues, pushToResourceByVhost),
 			exchanges: new HashSet(key.exchanges, pushToResourceByVhost),
 			bindings: bindingSet,
@@ -290,9 +308,9 @@ class Index {
 			vhosts,
 			permissions,
 			topic_permissions,
-			parameters, // not deployed
-			global_parameters, // not deployed
-			policies, // not deployed
+			parameters,
+			global_parameters,
+			policies,
 			queues,
 			exchanges,
 			bindings,
@@ -1,6 +1,10 @@
 import * as assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import http from 'node:http';
+import https from 'node:https';
 
 import { parseUrl } from './utils.js';
+import config from './config.js';
 
 class RequestError extends Error {
 	constructor(status, text, context) {
@@ -18,35 +22,92 @@ const tryParse = (body) => {
 	}
 };
 
-const request = (url, user, password, method, body) => {
-	return fetch(url, {
+// Sends a request and reads the whole response. Requests taking longer than the timeout fail like a timed out connection.
+const send = (url, { method, headers, body, agent, timeout }) => {
+	return new Promise((resolve, reject) => {
+		const transport = url.protocol === 'https:' ? https : http;
+		const req = transport.request(url, { method, headers, agent }, (res) => {
+			const chunks = [];
+			res.on('data', (chunk) => chunks.push(chunk));
+			res.on('error', reject);
+			res.on('end', () => resolve({
+				status: res.statusCode,
+				statusText: res.statusMessage,
+				text: Buffer.concat(chunks).toString('utf8'),
+			}));
+		});
+		const timer = timeout && setTimeout(() => {
+			req.destroy(Object.assign(new Error(`Request timed out after ${timeout}ms`), { code: 'ETIMEDOUT' }));
+		}, timeout);
+		req.on('close', () => clearTimeout(timer));
+		req.on('error', reject);
+		req.end(body);
+	});
+};
+
+const request = async (url, method, body, { headers, agent, timeout }) => {
+	const json = body ? JSON.stringify(body) : undefined;
+	const res = await send(new URL(url), {
 		method,
 		headers: {
-			'Authorization': 'Basic ' + Buffer.from(user + ':' + password).toString('base64'),
+			...headers,
 			'content-type': 'application/json',
+			// Node does not frame bodies of DELETE requests otherwise
+			...(json && { 'content-length': Buffer.byteLength(json) }),
 		},
-		...(body && { body: JSON.stringify(body) }),
-	}).then(async (res) => {
-		if (res.status >= 300) {
-			throw new RequestError(res.status, res.statusText, {
-				response: tryParse(await res.text()),
-				url,
-				method,
-				body,
-			});
-		}
-		const text = await res.text();
-		return text || 'OK:' + res.status;
+		body: json,
+		agent,
+		timeout,
 	});
+	if (res.status >= 300) {
+		throw new RequestError(res.status, res.statusText, {
+			response: tryParse(res.text),
+			url,
+			method,
+			body,
+		});
+	}
+	return { status: res.status, text: res.text || 'OK:' + res.status };
+};
+
+const readFile = (file, option) => {
+	try {
+		return readFileSync(file);
+	} catch (err) {
+		throw new Error(`Could not read ${option} file ${file}: ${err.message}`);
+	}
+};
+
+// Headers given as `Name: value`
+const parseHeaders = (headers) => {
+	return Object.fromEntries(headers.map((header) => {
+		const separator = header.indexOf(':');
+		assert.ok(separator > 0, `Invalid header "${header}". Use the format "Name: value"`);
+		return [header.slice(0, separator).trim().toLowerCase(), header.slice(separator + 1).trim()];
+	}));
 };
 
 class RabbitClient {
 	baseUrl;
 	dryRun;
+	journal;
 	#username;
 	#password;
+	#agent;
+	#timeout;
+	#headers;
+	#token;
+	#tokenFile;
 
-	constructor(url, { dryRun = false } = {}) {
+	/**
+	 * @param {URL} url - Base url of the management API with the credentials for basic auth.
+	 * @param {{ dryRun?: boolean, journal?: import('./journal.js').Journal | null, connection?: object }} options -
+	 * Connection options default to the configured ones: `caFile`, `certFile` and `keyFile` paths to PEM files,
+	 * `insecure` to skip verifying the server certificate, `timeout` in milliseconds, `headers` as `Name: value`
+	 * and an OAuth2 bearer `token` or `tokenFile` to use instead of basic auth. The token file is read for every request
+	 * to pick up refreshed tokens.
+	 */
+	constructor(url, { dryRun = false, journal = null, connection = config.connection } = {}) {
 		assert.ok(url instanceof URL, `Expected URL object, got ${url}`);
 		assert.ok(['http:', 'https:'].includes(url.protocol), `Expected url protocol to be http or https, got ${url.protocol}`);
 
@@ -58,29 +119,135 @@ class RabbitClient {
 
 		this.baseUrl = baseUrl;
 		this.dryRun = dryRun;
+		this.journal = journal;
 		this.#username = decodeURIComponent(username);
 		this.#password = decodeURIComponent(password);
+
+		const { caFile = null, certFile = null, keyFile = null, insecure = false, timeout = 0, headers = [], token = null, tokenFile = null } = connection;
+		assert.ok(!certFile === !keyFile, 'Client certificate and key are required together');
+		assert.ok(!token || !tokenFile, 'Provide either an OAuth2 token or a token file');
+		if (url.protocol === 'https:' && (caFile || certFile || insecure)) {
+			this.#agent = new https.Agent({
+				ca: caFile ? readFile(caFile, 'CA') : undefined,
+				cert: certFile ? readFile(certFile, 'client certificate') : undefined,
+				key: keyFile ? readFile(keyFile, 'client key') : undefined,
+				rejectUnauthorized: !insecure,
+			});
+		}
+		if (url.protocol === 'https:' && insecure) {
+			console.warn(`Warning: Not verifying the TLS certificate of ${baseUrl}.`);
+		}
+		if (url.protocol === 'http:' && (caFile || certFile || insecure)) {
+			console.warn(`Warning: Ignoring the TLS options for ${baseUrl}, which does not use https.`);
+		}
+		this.#timeout = timeout;
+		this.#headers = parseHeaders(headers);
+		this.#token = token;
+		this.#tokenFile = tokenFile;
 	}
 
-	request(method, path, body) {
+	#authorization() {
+		const token = this.#tokenFile ? readFile(this.#tokenFile, 'token').toString('utf8').trim() : this.#token;
+		if (token) {
+			return 'Bearer ' + token;
+		}
+		return 'Basic ' + Buffer.from(this.#username + ':' + this.#password).toString('base64');
+	}
+
+	/**
+	 * @param {string} method
+	 * @param {string} path
+	 * @param {object} [body]
+	 * @param {object} [context] - Operation the request is made for. Recorded in the journal.
+	 */
+	async request(method, path, body, context) {
+		const started = Date.now();
+		// failing to write the journal does not fail the request
+		const record = (result) => {
+			try {
+				this.journal?.record({ method, path, body, context, started, dryRun: this.dryRun, ...result });
+			} catch (err) {
+				console.warn(`Warning: Could not write ${method} ${path} to the journal: ${err.message}`);
+			}
+		};
 		// only do GET requests if dry run is enabled
 		if (this.dryRun && method !== 'GET') {
-			return Promise.resolve({
+			record({});
+			return {
 				url: new URL(path, this.baseUrl).toString(),
 				method,
 				body,
+			};
+		}
+		try {
+			const { status, text } = await request(new URL(path, this.baseUrl).toString(), method, body, {
+				headers: { ...this.#headers, 'authorization': this.#authorization() },
+				agent: this.#agent,
+				timeout: this.#timeout,
 			});
+			record({ status, response: tryParse(text) });
+			return text;
+		} catch (error) {
+			record({ error });
+			throw error;
 		}
-		return request(new URL(path, this.baseUrl).toString(), this.#username, this.#password, method, body);
 	}
 
 	async requestBindings() {
 		return JSON.parse(await this.request('GET', '/api/bindings'));
 	}
 
+	async requestQueues() {
+		return JSON.parse(await this.request('GET', '/api/queues?columns=vhost,name,messages,consumers,exclusive,owner_pid_details'));
+	}
+
 	async requestDefinitions() {
 		return JSON.parse(await this.request('GET', '/api/definitions'));
 	}
+
+	async requestOverview() {
+		return JSON.parse(await this.request('GET', '/api/overview'));
+	}
+
+	async requestFeatureFlags() {
+		return JSON.parse(await this.request('GET', '/api/feature-flags'));
+	}
+
+	async requestWhoami() {
+		return JSON.parse(await this.request('GET', '/api/whoami'));
+	}
+
+	/**
+	 * @param {string} name
+	 * @returns {Promise<{ name: string, value: any } | null>} Null if the global parameter does not exist.
+	 */
+	async requestGlobalParameter(name) {
+		try {
+			return JSON.parse(await this.request('GET', `/api/global-parameters/${encodeURIComponent(name)}`));
+		} catch (err) {
+			if (err.status === 404) {
+				return null;
+			}
+			throw err;
+		}
+	}
+
+	/**
+	 * Failed health checks respond with 503 and the reason, which is returned like a passed check.
+	 *
+	 * @param {string} check - Name of the check, e.g. alarms.
+	 * @returns {Promise<{ status: string, reason?: string }>}
+	 */
+	async requestHealthCheck(check) {
+		try {
+			return JSON.parse(await this.request('GET', `/api/health/checks/${check}`));
+		} catch (err) {
+			if (err.status === 503 && err.context?.response?.status) {
+				return err.context.response;
+			}
+			throw err;
+		}
+	}
 }
 
 export default RabbitClient;
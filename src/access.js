@@ -0,0 +1,92 @@
+import * as nodeAssert from 'node:assert/strict';
+
+import Index from './Index.js';
+import { getRoutingType } from './exchangeTypes.js';
+
+export const actions = ['publish', 'consume'];
+
+// Permissions for the default exchange are checked against its full name.
+const permissionName = (name) => name === '' ? 'amq.default' : name;
+
+// Same as RabbitMQ: empty pattern never matches and names are matched anywhere unless anchored.
+export const matchPermission = (pattern, name) => {
+	if (!pattern) {
+		return false;
+	}
+	try {
+		return new RegExp(pattern).test(name);
+	} catch {
+		return false;
+	}
+};
+
+// Topic permissions support variable expansion in the patterns.
+const expandTopicPattern = (pattern, { user, vhost }) => {
+	return pattern.replaceAll('{username}', user).replaceAll('{vhost}', vhost);
+};
+
+const checkPermission = (index, { user, vhost }, operation, name) => {
+	const permission = index.permissions.get({ vhost, user });
+	if (!permission) {
+		return `user "${user}" has no permissions in vhost "${vhost}"`;
+	}
+	if (!matchPermission(permission[operation], permissionName(name))) {
+		return `${operation} pattern "${permission[operation]}" does not match "${permissionName(name)}"`;
+	}
+	return null;
+};
+
+const check = {
+	publish: (index, { user, vhost, name, routingKey = '' }) => {
+		const denied = checkPermission(index, { user, vhost }, 'write', name);
+		if (denied) {
+			return denied;
+		}
+		// topic permissions only apply to topic exchanges and only if defined for the exchange
+		const exchange = index.exchanges.get({ vhost, name });
+		const topicPermission = index.topic_permissions.get({ vhost, user, exchange: name });
+		if (exchange && getRoutingType(exchange) === 'topic' && topicPermission) {
+			const pattern = expandTopicPattern(topicPermission.write, { user, vhost });
+			if (!matchPermission(pattern, routingKey)) {
+				return `topic write pattern "${pattern}" does not match routing key "${routingKey}"`;
+			}
+		}
+		return null;
+	},
+	consume: (index, { user, vhost, name }) => {
+		return checkPermission(index, { user, vhost }, 'read', name);
+	},
+};
+
+/**
+ * Checks whether a user can do an action on a resource.
+ * `publish` is checked against an exchange and `consume` against a queue.
+ *
+ * @param {Index|object} definitions - Built Index or definitions object.
+ * @param {{ user: string, vhost: string, action: string, name: string, routingKey?: string }} request
+ * @returns {{ user: string, allowed: boolean, reason: string | null }}
+ */
+export const checkAccess = (definitions, request) => {
+	nodeAssert.ok(actions.includes(request.action), `Unknown action "${request.action}". Use one of ${actions.join(', ')}`);
+	const index = definitions instanceof Index ? definitions : Index.fromDefinitions(definitions, false);
+	const reason = check[request.action](index, request);
+	return {
+		user: request.user,
+		allowed: reason === null,
+		reason,
+	};
+};
+
+/**
+ * Checks access for every user in the definitions.
+ *
+ * @param {Index|object} definitions - Built Index or definitions object.
+ * @param {{ vhost: string, action: string, name: string, routingKey?: string }} request
+ * @returns {{ user: string, allowed: boolean, reason: string | null }[]}
+ */
+export const checkAccessForAll = (definitions, request) => {
+	const index = definitions instanceof Index ? definitions : Index.fromDefinitions(definitions, false);
+	return [...index.users.values()].map(({ name }) => checkAccess(index, { ...request, user: name }));
+};
+
+export default checkAccess;
@@ -10,7 +10,12 @@ const mapValues = (obj, fn) => {
 			.map(([key, value]) => [key, fn(value)])
 	);
 };
-const swapChangeDirection = ({ before, after }) => ({ before: after, after: before });
+const swapChangeDirection = ({ before, after, changes, ...rest }) => ({
+	...rest,
+	before: after,
+	after: before,
+	...(changes && { changes: changes.map(swapChangeDirection) }),
+});
 
 export const revert = ({ added, changed, deleted }) => {
 	return {
@@ -33,7 +38,7 @@ export const apply = (diff, definitions, options = {}) => {
 			assert.equal(typeof hash, 'function', `Unknown type: ${type}`);
 			const keys = new Set(list.map((item) => hash(item)));
 			const removedKeys = new Set();
-			definitions[type] = definitions[type].filter((item) => {
+			definitions[type] = (definitions[type] ?? []).filter((item) => {
 				const key = hash(item);
 				if (keys.delete(key)) {
 					removedKeys.add(key);
@@ -67,6 +72,7 @@ export const apply = (diff, definitions, options = {}) => {
 		for (const [type, list] of Object.entries(diff.added)) {
 			const hash = key[type];
 			assert.equal(typeof hash, 'function', `Unknown type: ${type}`);
+			definitions[type] ??= [];
 			const definitionIndex = new HashSet(hash, definitions[type]);
 			definitions[type].push(...list.filter((item) => !definitionIndex.has(item)));
 		}
@@ -0,0 +1,86 @@
+import * as nodeAssert from 'node:assert/strict';
+
+import Index from './Index.js';
+import Failure from './Failure.js';
+
+export const severities = ['low', 'medium', 'high'];
+
+export const isAtLeast = (severity, threshold) => {
+	return severities.indexOf(severity) >= severities.indexOf(threshold);
+};
+
+const weakHashingAlgorithms = ['rabbit_password_hashing_md5'];
+const permissionOperations = ['configure', 'write', 'read'];
+const topicPermissionOperations = ['write', 'read'];
+const catchAllPatterns = ['.*', '^.*', '^.*$', '.*$'];
+
+/**
+ * Runs security checks over definitions.
+ *
+ * @param {Index|object} definitions - Built Index or definitions object.
+ * @param {object[] | null} usageStats - Usage records. Records with a `user` are used to find unused users.
+ * @returns {Failure[]}
+ */
+export const audit = (definitions, usageStats = null) => {
+	nodeAssert.ok(definitions && typeof definitions === 'object');
+	nodeAssert.ok(usageStats === null || Array.isArray(usageStats), 'Expected array as usage stats');
+	const index = definitions instanceof Index ? definitions : Index.fromDefinitions(definitions, false);
+	const findings = [];
+	const report = (severity, message) => {
+		findings.push(new Failure({ message, severity }));
+	};
+
+	for (const user of index.users.values()) {
+		const { name } = user;
+		if (name === 'guest') {
+			report('high', 'Default user "guest" is defined');
+		}
+		if (user.tags?.includes('administrator')) {
+			report('medium', `User "${name}" has the "administrator" tag`);
+		}
+		if (weakHashingAlgorithms.includes(user.hashing_algorithm)) {
+			report('high', `User "${name}" uses a weak password hashing algorithm "${user.hashing_algorithm}"`);
+		}
+		if (!user.password_hash) {
+			report('high', `User "${name}" has an empty password hash`);
+		}
+	}
+
+	for (const permission of index.permissions.values()) {
+		const operations = permissionOperations.filter((op) => catchAllPatterns.includes(permission[op]));
+		if (operations.length) {
+			report('medium', `User "${permission.user}" has catch-all ${operations.join('/')} permissions in vhost "${permission.vhost}"`);
+		}
+	}
+	for (const permission of index.topic_permissions.values()) {
+		const operations = topicPermissionOperations.filter((op) => catchAllPatterns.includes(permission[op]));
+		if (operations.length) {
+			report('low', `User "${permission.user}" has catch-all ${operations.join('/')} topic permissions for exchange "${permission.exchange}" in vhost "${permission.vhost}"`);
+		}
+	}
+
+	// topic permissions only restrict access granted by permissions
+	const usersWithPermissions = new Set([...index.permissions.values()].map(({ user }) => user));
+	for (const { name } of index.users.values()) {
+		if (!usersWithPermissions.has(name)) {
+			report('low', `User "${name}" has no permissions in any vhost`);
+		}
+	}
+
+	if (usageStats) {
+		const usedUsers = new Set(usageStats.filter(({ user }) => user).map(({ user }) => user));
+		if (usedUsers.size) {
+			for (const { name } of index.users.values()) {
+				if (!usedUsers.has(name)) {
+					report('medium', `User "${name}" is defined but not used according to usage stats`);
+				}
+			}
+		} else {
+			console.warn('Warning(audit): Usage stats contain no users, skipping the check for unused users');
+		}
+	}
+
+	return findings;
+};
+
+export default audit;
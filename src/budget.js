@@ -0,0 +1,67 @@
+import Index, { key } from './Index.js';
+import { resourceTypes } from './scope.js';
+
+/**
+ * Counts the resources on the server that a deployment manages.
+ *
+ * @param {object} definitions - Definitions from the server.
+ * @param {string[] | null} ignoreList
+ * @returns {number}
+ */
+export const countResources = (definitions, ignoreList = null) => {
+	const ignoreIndex = Array.isArray(ignoreList) && ignoreList.length ? Index.fromIgnoreList(ignoreList) : null;
+	const index = Index.fromDefinitions(definitions, false, ignoreIndex);
+	return resourceTypes.reduce((acc, type) => acc + index[type].size, 0);
+};
+
+/**
+ * Counts resources affected by the operations of a plan. A replaced resource counts once as a change.
+ * Resources deleted with their vhost count as deletions.
+ *
+ * @param {object[]} operations - Operations from `planDeploy`.
+ * @returns {{ changes: number, deletions: number, byType: Object<string, number> }}
+ */
+export const countPlan = (operations) => {
+	const resources = new Map();
+	for (const op of operations) {
+		const id = `${op.type}:${key[op.type](op.resource)}`;
+		if (!resources.has(id)) {
+			resources.set(id, op);
+		}
+	}
+	const counts = { changes: 0, deletions: 0, byType: {} };
+	for (const { type, operation } of resources.values()) {
+		counts.changes++;
+		counts.deletions += operation === 'deleted' ? 1 : 0;
+		counts.byType[type] = (counts.byType[type] ?? 0) + 1;
+	}
+	return counts;
+};
+
+/**
+ * Lists the limits a plan exceeds. Limits set to null are not checked.
+ *
+ * @param {{ operations: object[] }} plan - Result of `planDeploy` or a plan file.
+ * @param {number} serverCount - Number of resources on the server, see `countResources`.
+ * @param {{ maxDeletions?: number | null, maxChanges?: number | null, maxChangesPerType?: Object<string, number>, maxDeletionRatio?: number | null }} limits
+ * @returns {string[]} Descriptions of the exceeded limits.
+ */
+export const checkBudget = ({ operations }, serverCount, { maxDeletions = null, maxChanges = null, maxChangesPerType = {}, maxDeletionRatio = null }) => {
+	const { changes, deletions, byType } = countPlan(operations);
+	const exceeded = [];
+	if (maxDeletions !== null && deletions > maxDeletions) {
+		exceeded.push(`${deletions} deleted resources exceed the maximum of ${maxDeletions}`);
+	}
+	if (maxChanges !== null && changes > maxChanges) {
+		exceeded.push(`${changes} changed resources exceed the maximum of ${maxChanges}`);
+	}
+	for (const [type, max] of Object.entries(maxChangesPerType)) {
+		if ((byType[type] ?? 0) > max) {
+			exceeded.push(`${byType[type]} changed ${type} exceed the maximum of ${max}`);
+		}
+	}
+	if (maxDeletionRatio !== null && deletions && deletions > maxDeletionRatio * serverCount) {
+		exceeded.push(`${deletions} deleted of ${serverCount} resources on the server exceed the maximum ratio of ${maxDeletionRatio}`);
+	}
+	return exceeded;
+};
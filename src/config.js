@@ -1,4 +1,8 @@
 import { strict as assert } from 'node:assert';
+import { homedir } from 'node:os';
+import path from 'node:path';
+
+import { resourceTypes } from './scope.js';
 
 const deprecatedPrefix = 'RABVAL_';
 
@@ -47,7 +51,8 @@ function getFloatFromEnv(envVar, defaultValue) {
 	if (!process.env[envVar] && !isDeprecatedEnvVar(envVar)) {
 		return getFloatFromEnv(getDeprecatedEnvVar(envVar), defaultValue);
 	}
-	return parseFloat(process.env[envVar]) || defaultValue;
+	const value = parseFloat(process.env[envVar]);
+	return Number.isNaN(value) ? defaultValue : value;
 }
 
 /**
@@ -60,7 +65,25 @@ function getIntFromEnv(envVar, defaultValue) {
 	if (!process.env[envVar] && !isDeprecatedEnvVar(envVar)) {
 		return getIntFromEnv(getDeprecatedEnvVar(envVar), defaultValue);
 	}
-	return parseInt(process.env[envVar]) || defaultValue;
+	const value = parseInt(process.env[envVar]);
+	return Number.isNaN(value) ? defaultValue : value;
+}
+
+/**
+ * @param {string} envVar
+ * @param {string | null} defaultValue
+ * @returns {string | null}
+ */
+function getStringFromEnv(envVar, defaultValue) {
+	return process.env[envVar] || defaultValue;
+}
+
+/**
+ * @param {string} envVar
+ * @returns {boolean}
+ */
+function getBooleanFromEnv(envVar) {
+	return /^(1|true|yes)$/i.test(process.env[envVar] ?? '');
 }
 
 /**
@@ -80,11 +103,100 @@ function getRegexpFromEnv(envVar, defaultValue = null) {
 	return new RegExp(value);
 }
 
+export const builtinExchangeTypes = ['topic', 'headers', 'direct', 'fanout'];
+export const argumentTypes = ['string', 'number', 'boolean'];
+
+/**
+ * Parses a list of custom exchange types: `name[:routing type]`, where routing type is one of the built-in types
+ * the exchange routes like.
+ * @param {string} envVar
+ * @returns {Object<string, string | null>}
+ */
+function getExchangeTypesFromEnv(envVar) {
+	return Object.fromEntries(
+		getListFromEnv(envVar, ',')
+			.map((entry) => {
+				const [name, routingType = null] = entry.split(':');
+				return [name, routingType];
+			})
+	);
+}
+
+/**
+ * Parses a list of custom argument schemas: `name:type[:allowed|values]`.
+ * @param {string} envVar
+ * @returns {{ name: string, type: string, values: Array<string | number | boolean> | null }[]}
+ */
+function getArgumentSchemasFromEnv(envVar) {
+	return getListFromEnv(envVar, ',')
+		.map((entry) => {
+			const [name, type = 'string', values] = entry.split(':');
+			const parse = type === 'string' ? String : JSON.parse;
+			return {
+				name,
+				type,
+				values: values ? values.split('|').map(parse) : null,
+			};
+		});
+}
+
+/**
+ * Parses per resource type limits: `type:max`. Used for the cli flags too.
+ * @param {string[]} entries
+ * @returns {Object<string, number>}
+ */
+export function parseTypeLimits(entries) {
+	return Object.fromEntries(entries.map((entry) => {
+		const [type, max] = entry.split(':');
+		if (!resourceTypes.includes(type)) {
+			throw new Error(`Invalid resource type "${type}" in limit "${entry}". Use one of ${resourceTypes.join(', ')}`);
+		}
+		if (!/^\d+$/.test(max ?? '')) {
+			throw new Error(`Invalid maximum in limit "${entry}". Expected a non-negative integer`);
+		}
+		return [type, parseInt(max)];
+	}));
+}
+
 const defaultPattern = getRegexpFromEnv('RTB_PATTERN');
 const defaultAllowList = getListFromEnv('RTB_STRING_ALLOW', ',');
 
 const C = {
 	requestDelay: getIntFromEnv('RTB_REQUEST_DELAY', 9),
+	connection: {
+		caFile: getStringFromEnv('RTB_CA_FILE', null),
+		certFile: getStringFromEnv('RTB_CERT_FILE', null),
+		keyFile: getStringFromEnv('RTB_KEY_FILE', null),
+		insecure: getBooleanFromEnv('RTB_INSECURE'),
+		timeout: getIntFromEnv('RTB_REQUEST_TIMEOUT', 60000),
+		headers: getListFromEnv('RTB_REQUEST_HEADERS', '\n').filter(Boolean),
+		token: getStringFromEnv('RTB_OAUTH_TOKEN', null),
+		tokenFile: getStringFromEnv('RTB_OAUTH_TOKEN_FILE', null),
+	},
+	deploy: {
+		concurrency: getIntFromEnv('RTB_DEPLOY_CONCURRENCY', 4),
+		retries: getIntFromEnv('RTB_DEPLOY_RETRIES', 3),
+		retryDelay: getIntFromEnv('RTB_DEPLOY_RETRY_DELAY', 250),
+	},
+	budget: {
+		maxDeletions: getIntFromEnv('RTB_MAX_DELETIONS', null),
+		maxChanges: getIntFromEnv('RTB_MAX_CHANGES', null),
+		maxChangesPerType: parseTypeLimits(getListFromEnv('RTB_MAX_CHANGES_PER_TYPE', ',')),
+		maxDeletionRatio: getFloatFromEnv('RTB_MAX_DELETION_RATIO', null),
+	},
+	verify: {
+		settlePeriod: getIntFromEnv('RTB_VERIFY_SETTLE_PERIOD', 10000),
+		interval: getIntFromEnv('RTB_VERIFY_INTERVAL', 1000),
+	},
+	// snapshots include password hashes, so they are kept out of shared working directories
+	snapshotDir: getStringFromEnv('RTB_SNAPSHOT_DIR', path.join(getStringFromEnv('XDG_STATE_HOME', path.join(homedir(), '.local', 'state')), 'rabbit-toolbelt', 'snapshots')),
+	preflight: {
+		maxMinorVersionDrift: getIntFromEnv('RTB_MAX_MINOR_VERSION_DRIFT', null),
+	},
+	lock: {
+		owner: getStringFromEnv('RTB_LOCK_OWNER', null),
+		ttl: getIntFromEnv('RTB_LOCK_TTL', 30 * 60 * 1000),
+	},
 	unusedFailureThreshold: {
 		vhost: getFloatFromEnv('RTB_UNUSED_FAIL_THRESHOLD_VHOST', 0.3),
 		exchange: getFloatFromEnv('RTB_UNUSED_FAIL_THRESHOLD_EXCHANGE', 0.3),
@@ -97,6 +209,11 @@ const C = {
 		queues: getRegexpFromEnv('RTB_PATTERN_QUEUES', defaultPattern),
 		exchanges: getRegexpFromEnv('RTB_PATTERN_EXCHANGES', defaultPattern),
 	},
+	customExchangeTypes: getExchangeTypesFromEnv('RTB_EXCHANGE_TYPES'),
+	customArguments: {
+		queues: getArgumentSchemasFromEnv('RTB_QUEUE_ARGUMENTS'),
+		exchanges: getArgumentSchemasFromEnv('RTB_EXCHANGE_ARGUMENTS'),
+	},
 	normalStringAllowList: defaultAllowList,
 	nameAllowList: {
 		vhosts: defaultAllowList.concat(getListFromEnv('RTB_PATTERN_ALLOW_VHOSTS', ',')),
@@ -109,5 +226,22 @@ const C = {
 assert(isInRange(C.unusedFailureThreshold.vhost, 0, 1), 'Unused failure ratio out of bounds [0, 1]');
 assert(isInRange(C.unusedFailureThreshold.exchange, 0, 1), 'Unused failure ratio out of bounds [0, 1]');
 assert(isInRange(C.unusedFailureThreshold.queue, 0, 1), 'Unused failure ratio out of bounds [0, 1]');
+assert(C.deploy.concurrency >= 1, 'Deploy concurrency has to be at least 1');
+assert(C.deploy.retries >= 0, 'Deploy retries can not be negative');
+assert(C.deploy.retryDelay >= 0, 'Deploy retry delay can not be negative');
+assert(C.budget.maxDeletions === null || C.budget.maxDeletions >= 0, 'Maximum deletions can not be negative');
+assert(C.budget.maxChanges === null || C.budget.maxChanges >= 0, 'Maximum changes can not be negative');
+assert(C.budget.maxDeletionRatio === null || isInRange(C.budget.maxDeletionRatio, 0, 1), 'Maximum deletion ratio out of bounds [0, 1]');
+assert(C.verify.settlePeriod >= 0, 'Verify settle period can not be negative');
+assert(C.verify.interval >= 1, 'Verify interval has to be at least 1');
+assert(C.preflight.maxMinorVersionDrift === null || C.preflight.maxMinorVersionDrift >= 0, 'Maximum minor version drift can not be negative');
+assert(C.lock.ttl >= 1, 'Lock TTL has to be at least 1');
+assert(C.connection.timeout >= 0, 'Request timeout can not be negative');
+for (const [name, routingType] of Object.entries(C.customExchangeTypes)) {
+	assert(routingType === null || builtinExchangeTypes.includes(routingType), `Invalid routing type "${routingType}" for exchange type "${name}". Use one of ${builtinExchangeTypes.join(', ')}`);
+}
+for (const { name, type } of [...C.customArguments.queues, ...C.customArguments.exchanges]) {
+	assert(argumentTypes.includes(type), `Invalid type "${type}" for argument "${name}". Use one of ${argumentTypes.join(', ')}`);
+}
 
 export default C;
@@ -0,0 +1,224 @@
+import readline from 'node:readline/promises';
+
+import { key } from './Index.js';
+import { toEntries, summarize } from './renderPlan.js';
+
+const selectableOperations = {
+	'+': 'added',
+	'~': 'changed',
+	'-/+': 'replaced',
+	'-': 'deleted',
+};
+
+// Entries done as a side effect of another entry are selected with it
+const isDependent = ({ implicit, operation }) => implicit || operation === 'implicitlyAffected';
+
+const resourceId = (type, resource) => `${type}:${key[type](resource)}`;
+
+// Ids of the entries the operation is done for as a side effect
+const dependsOn = ({ type, resource, implicit }) => {
+	if (type === 'topic_permissions') {
+		// selected with the deleted topic permission of the user, see selectPlan
+		return [];
+	}
+	if (implicit) {
+		return [resourceId('vhosts', { name: resource.vhost })];
+	}
+	if (type === 'bindings') {
+		const destinationType = resource.destination_type === 'queue' ? 'queues' : 'exchanges';
+		return [
+			resourceId('exchanges', { name: resource.source, vhost: resource.vhost }),
+			resourceId(destinationType, { name: resource.destination, vhost: resource.vhost }),
+		];
+	}
+	return [];
+};
+
+// Ids of the resources that have to exist before the resource can be created
+const requires = ({ type, resource }) => {
+	if (type === 'vhosts' || typeof resource.vhost !== 'string') {
+		return [];
+	}
+	const ids = [resourceId('vhosts', { name: resource.vhost })];
+	if (type === 'permissions' || type === 'topic_permissions') {
+		ids.push(resourceId('users', { name: resource.user }));
+	}
+	if (type === 'bindings') {
+		ids.push(...dependsOn({ type, resource }));
+	}
+	return ids;
+};
+
+const groupByType = (entries) => {
+	const groups = new Map();
+	for (const entry of entries) {
+		if (!groups.has(entry.type)) {
+			groups.set(entry.type, []);
+		}
+		groups.get(entry.type).push(entry);
+	}
+	return groups;
+};
+
+const selectable = (entries) => [...groupByType(entries).values()].flat().filter((entry) => !isDependent(entry));
+
+/**
+ * Lists the resources in a plan that can be selected for deployment, numbered from 1 in the order they are shown in.
+ *
+ * @param {{ operations: object[] }} plan
+ * @returns {object[]} Entries of `toEntries`.
+ */
+export const selectableEntries = (plan) => selectable(toEntries(plan.operations));
+
+/**
+ * Renders a plan grouped by resource type with the numbers to select resources with.
+ *
+ * @param {{ operations: object[], ignored?: object[] }} plan
+ * @returns {string}
+ */
+export const renderReview = (plan) => {
+	const entries = toEntries(plan.operations);
+	const numbered = selectable(entries);
+	const width = String(numbered.length).length;
+	const renderEntries = (list) => list.flatMap((entry) => {
+		const idx = numbered.indexOf(entry);
+		const number = ~idx ? `${String(idx + 1).padStart(width)}.` : ' '.repeat(width + 1);
+		const vhost = entry.vhost !== null && entry.type !== 'vhosts' ? ` in vhost "${entry.vhost}"` : '';
+		return [
+			`${number} ${entry.marker.padStart(3)} ${entry.line}${vhost}`,
+			...entry.changes.map((change) => `${' '.repeat(width + 7)}${change}`),
+		];
+	});
+
+	const out = [];
+	for (const [type, list] of groupByType(entries)) {
+		out.push(`${type}:`, ...renderEntries(list), '');
+	}
+	const ignored = groupByType(toEntries(plan.ignored ?? []));
+	if (ignored.size) {
+		out.push('Ignored changes, not deployed:');
+		for (const [type, list] of ignored) {
+			out.push(`${type}:`, ...renderEntries(list), '');
+		}
+	}
+	out.push(summarize(plan));
+	return out.join('\n');
+};
+
+/**
+ * Parses a selection of resources: resource types, operations(added, changed, replaced, deleted),
+ * numbers and ranges of numbers of selectable entries separated by spaces or commas.
+ *
+ * @param {string} input
+ * @param {object[]} entries - Result of `selectableEntries`.
+ * @returns {Set<string>} Ids of the selected entries.
+ */
+export const parseSelection = (input, entries) => {
+	const selected = new Set();
+	for (const token of input.split(/[\s,]+/).filter(Boolean)) {
+		const range = token.match(/^(\d+)(?:-(\d+))?$/);
+		if (range) {
+			const [from, to = from] = range.slice(1, 3).filter(Boolean).map(Number);
+			if (from < 1 || to > entries.length || from > to) {
+				throw new Error(`Invalid selection "${token}". Select numbers from 1 to ${entries.length}`);
+			}
+			entries.slice(from - 1, to).forEach(({ id }) => selected.add(id));
+			continue;
+		}
+		const matching = entries.filter(({ type, marker }) => type === token || selectableOperations[marker] === token);
+		if (!matching.length) {
+			throw new Error(`Invalid selection "${token}". Select resource types, operations or numbers of the resources in the plan`);
+		}
+		matching.forEach(({ id }) => selected.add(id));
+	}
+	return selected;
+};
+
+/**
+ * Leaves out the operations of resources that are not selected. Resources deleted with a vhost and bindings recreated
+ * with a replaced exchange or queue are kept if the vhost, exchange or queue is selected. Topic permissions of a user
+ * are deleted for every exchange at once, so deleting one of them selects all of the user's topic permissions in the vhost.
+ * Added vhosts, users, exchanges and queues are selected with the selected resources needing them.
+ *
+ * @param {{ operations: object[], ignored?: object[] }} plan
+ * @param {Set<string>} selected - Result of `parseSelection`.
+ * @returns {{ operations: object[], ignored: object[] }}
+ */
+export const selectPlan = (plan, selected) => {
+	const added = new Set(plan.operations
+		.filter(({ operation }) => operation === 'added')
+		.map(({ type, resource }) => resourceId(type, resource)));
+	const withRequired = new Set([...selected, ...plan.operations
+		.filter((op) => op.method !== 'DELETE' && selected.has(resourceId(op.type, op.resource)))
+		.flatMap(requires)
+		.filter((id) => added.has(id))]);
+	const deletedTopicPermissions = new Set(plan.operations
+		.filter(({ type, method, resource }) => type === 'topic_permissions' && method === 'DELETE' && withRequired.has(resourceId(type, resource)))
+		.map(({ resource }) => key.permissions(resource)));
+	return {
+		...plan,
+		operations: plan.operations.filter((op) => {
+			if (op.type === 'topic_permissions' && deletedTopicPermissions.has(key.permissions(op.resource))) {
+				return true;
+			}
+			if (isDependent(op)) {
+				return dependsOn(op).some((id) => withRequired.has(id));
+			}
+			return withRequired.has(resourceId(op.type, op.resource));
+		}),
+	};
+};
+
+/**
+ * Shows a plan and asks whether to deploy all, none or a selection of it.
+ *
+ * @param {{ operations: object[], ignored?: object[] }} plan
+ * @param {(question: string) => Promise<string>} ask
+ * @param {(text: string) => void} print
+ * @returns {Promise<object | null>} The plan to deploy or null if the deployment was declined.
+ */
+export const confirmPlan = async (plan, ask, print = console.log) => {
+	if (!plan.operations.length) {
+		return plan;
+	}
+	const entries = selectableEntries(plan);
+	print(renderReview(plan));
+	for (;;) {
+		const answer = (await ask('Deploy this plan? [y]es, [N]o or [s]elect resources: ')).trim().toLowerCase();
+		if (['y', 'yes'].includes(answer)) {
+			return plan;
+		}
+		if (['', 'n', 'no'].includes(answer)) {
+			return null;
+		}
+		if (!['s', 'select'].includes(answer)) {
+			continue;
+		}
+
+		let selected;
+		try {
+			selected = selectPlan(plan, parseSelection(await ask('Resource types, operations(added, changed, replaced, deleted) or numbers to deploy, e.g. "added 3 5-7": '), entries));
+		} catch (err) {
+			print(err.message);
+			continue;
+		}
+		if (!selected.operations.length) {
+			print('Nothing selected.');
+			continue;
+		}
+		print(renderReview({ ...selected, ignored: [] }));
+		if (['y', 'yes'].includes((await ask('Deploy the selected resources? [y]es or [N]o: ')).trim().toLowerCase())) {
+			return selected;
+		}
+	}
+};
+
+// Confirms a plan on the terminal
+export const confirmInteractively = async (plan) => {
+	const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+	try {
+		return await confirmPlan(plan, (question) => rl.question(question));
+	} finally {
+		rl.close();
+	}
+};
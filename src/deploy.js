@@ -1,6 +1,17 @@
-import assert from 'node:assert/strict';
 import RabbitClient from './RabbitClient.js';
-import { diffServer } from './deploy.utils.js';
+import { requestServerState, diffServerState, operationDependencies, indexPropertiesKeyMap, verifyConvergence } from './deploy.utils.js';
+import { key } from './Index.js';
+import { runGraph, withRetries, sleep } from './scheduler.js';
+import { fingerprint, toPlanFile, assertPlanFile } from './planFile.js';
+import { findQueuesInUse, formatQueueTable } from './queueGuard.js';
+import { countResources, checkBudget } from './budget.js';
+import { scopeDefinitions } from './scope.js';
+import { checkPreflight } from './preflight.js';
+import { takeSnapshot, readSnapshotSync } from './snapshot.js';
+import { acquireLock, releaseLock, readLock, isExpired, describeLock } from './lock.js';
+import { readRevision, recordRevision } from './revision.js';
+import { parseUrl } from './utils.js';
+import renderPlan from './renderPlan.js';
 
 import config from './config.js';
 
@@ -23,6 +34,9 @@ const C = {
 		bindings: (r) => ['POST', url`/api/bindings/${r.vhost}/e/${r.source}/${T[r.destination_type]}/${r.destination}`],
 		permissions: (r) => ['PUT', url`/api/permissions/${r.vhost}/${r.user}`],
 		topic_permissions: (r) => ['PUT', url`/api/topic-permissions/${r.vhost}/${r.user}`],
+		policies: (r) => ['PUT', url`/api/policies/${r.vhost}/${r.name}`],
+		parameters: (r) => ['PUT', url`/api/parameters/${r.component}/${r.vhost}/${r.name}`],
+		global_parameters: (r) => ['PUT', url`/api/global-parameters/${r.name}`],
 	},
 	deleted: {
 		vhosts: (r) => ['DELETE', url`/api/vhosts/${r.name}`],
@@ -32,139 +46,666 @@ const C = {
 		bindings: (r) => ['DELETE', url`/api/bindings/${r.vhost}/e/${r.source}/${T[r.destination_type]}/${r.destination}/${r.properties_key || '~'}`],
 		permissions: (r) => ['DELETE', url`/api/permissions/${r.vhost}/${r.user}`],
 		topic_permissions: (r) => ['DELETE', url`/api/topic-permissions/${r.vhost}/${r.user}`],
+		policies: (r) => ['DELETE', url`/api/policies/${r.vhost}/${r.name}`],
+		parameters: (r) => ['DELETE', url`/api/parameters/${r.component}/${r.vhost}/${r.name}`],
+		global_parameters: (r) => ['DELETE', url`/api/global-parameters/${r.name}`],
 	},
 	changed: {
 		vhosts: (r) => ['PUT', url`/api/vhosts/${r.name}`],
 		users: (r) => ['PUT', url`/api/users/${r.name}`],
 		permissions: (r) => ['PUT', url`/api/permissions/${r.vhost}/${r.user}`],
 		topic_permissions: (r) => ['PUT', url`/api/topic-permissions/${r.vhost}/${r.user}`],
+		policies: (r) => ['PUT', url`/api/policies/${r.vhost}/${r.name}`],
+		parameters: (r) => ['PUT', url`/api/parameters/${r.component}/${r.vhost}/${r.name}`],
+		global_parameters: (r) => ['PUT', url`/api/global-parameters/${r.name}`],
 	},
 };
 
-const sleep = (ms) => {
-	return new Promise((res) => setTimeout(res, ms));
-};
-
-const deployResources = async (client, changes, operation, type, operationOverride = null, filterFn = null) => {
-	assert(filterFn === null || typeof filterFn === 'function', 'Expected filterFn to be a function or null');
-	let skipped = [];
-	const entries = changes[operation][type];
-	if (entries.length) {
-		const result = await Promise.allSettled(
-			entries
-				.filter((...args) => {
-					if (filterFn && !filterFn(...args)) {
-						skipped.push(args[0]);
-						return false;
-					}
-					return true;
-				})
-				.map(async (resource, idx) => {
-					const op = operationOverride ?? operation;
-					if (typeof C[op][type] === 'function') {
-						const resourceArg = resource.after || resource;
-						const [method, url] = C[op][type](resourceArg);
-						// adding increasingly longer delay for the requests to avoid server crashing. Local testing shows 9ms the minimum.
-						// With a remote server less would probably be enough because of a natural added jitter.
-						await sleep(idx * config.requestDelay);
-						return client.request(method, url, resourceArg);
-					}
-
-					throw new Error(`Invalid operation "${op}" on type "${type}"`);
-				})
-		);
-
-		const succeeded = result.filter(({ status }) => status === 'fulfilled');
-		const failed = result.filter(({ status }) => status !== 'fulfilled');
-		const failedNotice = result.length !== succeeded.length && `, ${result.length - succeeded.length} failed` || '';
-
-		if (skipped.length) {
-			console.error(`skipped ${skipped.length} ${operation} ${type} operations`);
-		}
-
-		if (operation === 'changed' && operationOverride) {
-			console.error(`${operationOverride}(for changing) ${succeeded.length} ${type}` + failedNotice);
-		} else if (operation === 'implicitlyAffected' && operationOverride === 'added') {
-			console.error(`recreated implicitly affected ${succeeded.length} ${type}` + failedNotice);
-		} else {
-			console.error(`${operation} ${succeeded.length} ${type}` + failedNotice);
+// Resources that can be changed in place. Others have to be deleted and recreated.
+export const mutableResources = ['users', 'permissions', 'topic_permissions', 'policies', 'parameters', 'global_parameters'];
+
+// Resources in a vhost are deleted together with it and don't have to be deleted separately.
+const notInDeletedVhost = ({ vhost }, changes) => {
+	return !changes.deleted.vhosts.find(({ name }) => name === vhost);
+};
+
+// Topic permissions of a user in a vhost are deleted for every exchange at once, with the first deleted one.
+const isFirstDeletedTopicPermission = (resource, changes) => {
+	return changes.deleted.topic_permissions.find((tp) => key.permissions(tp) === key.permissions(resource)) === resource;
+};
+
+// Topic permissions of users with deleted topic permissions that have to be put back after the deletion
+const restoredTopicPermissions = (changes) => {
+	const users = new Set(changes.deleted.topic_permissions.map(key.permissions));
+	return [
+		...(changes.implicitlyAffected?.topic_permissions ?? []),
+		...changes.added.topic_permissions,
+		...changes.changed.topic_permissions.map(({ after }) => after),
+	].filter((tp) => users.has(key.permissions(tp)));
+};
+
+// Order in which changes are deployed: [operation, type, operationOverride, filterFn]
+const deploySteps = ({ noDeletions, recreateChanged }) => [
+	['added', 'vhosts'],
+	['added', 'global_parameters'],
+	['added', 'users'],
+	['added', 'exchanges'],
+	['added', 'queues'],
+	['changed', 'vhosts'],
+	['changed', 'global_parameters'],
+	['changed', 'users'],
+	...(recreateChanged ? [
+		['changed', 'exchanges', 'deleted'],
+		['changed', 'exchanges', 'added'],
+		['changed', 'queues', 'deleted'],
+		['changed', 'queues', 'added'],
+		['changed', 'bindings', 'deleted'],
+		['changed', 'bindings', 'added'],
+		['implicitlyAffected', 'bindings', 'added'],
+	] : []),
+	['added', 'bindings'],
+	['added', 'permissions'],
+	['added', 'topic_permissions'],
+	['changed', 'permissions'],
+	['changed', 'topic_permissions'],
+	['added', 'policies'],
+	['changed', 'policies'],
+	['added', 'parameters'],
+	['changed', 'parameters'],
+	...(noDeletions ? [] : [
+		['deleted', 'parameters', null, notInDeletedVhost],
+		['deleted', 'policies', null, notInDeletedVhost],
+		['deleted', 'global_parameters'],
+		['deleted', 'topic_permissions', null, isFirstDeletedTopicPermission],
+		['implicitlyAffected', 'topic_permissions', 'added'],
+		['deleted', 'permissions', null, notInDeletedVhost],
+		['deleted', 'users', null, notInDeletedVhost],
+		['deleted', 'bindings'],
+		['deleted', 'queues'],
+		['deleted', 'exchanges'],
+		['deleted', 'vhosts'],
+	]),
+];
+
+/**
+ * Compiles changes into operations in the order they are deployed in.
+ * Operations marked `implicit` are done by the server as a side effect of another operation and are not requested.
+ * Changes that are not deployed with given options are listed in `ignored`.
+ *
+ * @param {object} changes - Result of `diff`.
+ * @param {{ noDeletions?: boolean, recreateChanged?: boolean }} options
+ * @returns {{ operations: object[], ignored: object[] }}
+ */
+export const planDeploy = (changes, { noDeletions = false, recreateChanged = false } = {}) => {
+	const operations = [];
+	const planned = {
+		...changes,
+		implicitlyAffected: { ...changes.implicitlyAffected, topic_permissions: restoredTopicPermissions(changes) },
+	};
+	deploySteps({ noDeletions, recreateChanged }).forEach(([operation, type, override = null, filterFn = null], step) => {
+		for (const entry of planned[operation]?.[type] ?? []) {
+			const op = override ?? operation;
+			if (typeof C[op][type] !== 'function') {
+				throw new Error(`Invalid operation "${op}" on type "${type}"`);
+			}
+			const resource = entry.after || entry;
+			const [method, path] = C[op][type](resource);
+			operations.push({
+				step,
+				operation,
+				override,
+				type,
+				method,
+				path,
+				resource,
+				...(entry.before && { before: entry.before }),
+				...(entry.changes && { changes: entry.changes }),
+				...(filterFn && !filterFn(resource, changes) && { implicit: true }),
+			});
 		}
+	});
 
-		if (failed.length) {
-			throw failed[0].reason;
+	const ignored = [];
+	for (const [type, list] of Object.entries(changes.changed)) {
+		if (!recreateChanged && !mutableResources.includes(type)) {
+			ignored.push(...list.map(({ after, changes }) => ({ operation: 'changed', type, resource: after, changes })));
+		}
+	}
+	if (noDeletions) {
+		for (const [type, list] of Object.entries(changes.deleted)) {
+			ignored.push(...list.map((resource) => ({ operation: 'deleted', type, resource })));
 		}
 	}
+
+	return { operations, ignored };
 };
 
-const deploy = async (serverBaseUrl, definitions, { dryRun = false, noDeletions = false, recreateChanged = false, ignoreList = null }) => {
-	if (dryRun) {
-		console.warn('Warning: Dry run is enabled. No changes will be applied.');
+// Logs the outcome of a single step
+const logStep = (operations, results) => {
+	const [{ operation, type, override: operationOverride }] = operations;
+	const count = (status) => results.filter((result) => result.status === status).length;
+	const skipped = operations.filter(({ implicit }) => implicit).length;
+	const succeeded = count('fulfilled') - skipped;
+	const failedNotice = [
+		count('rejected') && `, ${count('rejected')} failed`,
+		count('skipped') && `, ${count('skipped')} not attempted because of failed prerequisites`,
+	].filter(Boolean).join('');
+
+	if (skipped) {
+		console.error(`skipped ${skipped} ${operation} ${type} operations`);
 	}
-	const client = new RabbitClient(serverBaseUrl, { dryRun });
-	const changes = await diffServer(client, definitions, ignoreList);
 
-	const mutableResources = ['users', 'permissions', 'topic_permissions'];
-	const changedResourceCount = Object.entries(changes.changed)
-		.reduce((acc, [type, list]) => acc + (mutableResources.includes(type) ? 0 : list.length), 0);
+	if (operation === 'changed' && operationOverride) {
+		console.error(`${operationOverride}(for changing) ${succeeded} ${type}` + failedNotice);
+	} else if (operation === 'implicitlyAffected' && operationOverride === 'added') {
+		console.error(`recreated implicitly affected ${succeeded} ${type}` + failedNotice);
+	} else {
+		console.error(`${operation} ${succeeded} ${type}` + failedNotice);
+	}
+};
 
-	// TODO: Require the permissions to be added to user making the changes?
-	const hasAddedPermissionsForVhosts = changes.added.vhosts.every(({ name }) => {
-		return !changes.added.permissions.find(({ vhost }) => vhost === name);
-	});
+// Runs operations as soon as the operations they depend on have succeeded
+const runOperations = async (client, operations, onSuccess = () => {}) => {
+	// minimum delay between starting requests to avoid the server crashing. Local testing shows 9ms the minimum.
+	// With a remote server less would probably be enough because of a natural added jitter.
+	let nextRequestAt = 0;
+	const throttle = () => {
+		const now = Date.now();
+		const wait = nextRequestAt - now;
+		nextRequestAt = Math.max(now, nextRequestAt) + config.requestDelay;
+		return wait > 0 && sleep(wait);
+	};
 
-	if (changes.added.vhosts.length && hasAddedPermissionsForVhosts) {
-		console.warn('There are added vhosts that lack permissions to later update those vhosts. Make sure there there are added permissions for every added vhost.');
-	}
+	return runGraph(operations.length, operationDependencies(operations), async (idx) => {
+		const { implicit, method, path, resource, type, operation, override = null, before, undoes } = operations[idx];
+		if (implicit) {
+			onSuccess(operations[idx]);
+			return null;
+		}
+		const response = await withRetries(async (attempt) => {
+			await throttle();
+			try {
+				return await client.request(method, path, resource, { type, operation, override, before, rollback: !!undoes });
+			} catch (err) {
+				// an earlier attempt that timed out or failed with a server error may have deleted the resource already
+				if (attempt > 0 && method === 'DELETE' && err.status === 404) {
+					console.warn(`Warning: ${method} ${path} found nothing to delete when retried, an earlier attempt deleted it`);
+					return null;
+				}
+				throw err;
+			}
+		}, {
+			retries: config.deploy.retries,
+			retryDelay: config.deploy.retryDelay,
+			onRetry: (err, delay) => console.warn(`Warning: ${method} ${path} failed(${err.message}), retrying in ${delay}ms`),
+		});
+		onSuccess(operations[idx]);
+		return response;
+	}, { concurrency: config.deploy.concurrency });
+};
+
+// Deletions start after everything else has succeeded. Topic permissions deleted together with the deleted ones are put back after them.
+const isDeletionPhase = ({ operation, type }) => operation === 'deleted' || (operation === 'implicitlyAffected' && type === 'topic_permissions');
+const deployPhases = [
+	(op) => !isDeletionPhase(op),
+	isDeletionPhase,
+];
 
+// Resolves changes between the server and definitions and compiles them into a plan
+const prepareDeploy = async (client, definitions, { noDeletions, recreateChanged, ignoreList, scope }) => {
 	if (noDeletions && recreateChanged) {
 		throw new Error('Option conflict: --no-deletions and --recreate-changed both enabled.');
 	}
+	const state = await requestServerState(client);
+	const changes = diffServerState(state, definitions, ignoreList, scope);
+	const current = scopeDefinitions(state.definitions, scope);
+
+	const changedResourceCount = Object.entries(changes.changed)
+		.reduce((acc, [type, list]) => acc + (mutableResources.includes(type) ? 0 : list.length), 0);
+
 	if (changedResourceCount && !recreateChanged) {
 		console.warn(`Ignoring ${changedResourceCount} changed resources, which need to be deleted and recreated. Provide --recreate-changed option to deploy changed resources.`);
 	}
 
-	await deployResources(client, changes, 'added', 'vhosts');
-
-	await deployResources(client, changes, 'added', 'users');
-	await deployResources(client, changes, 'added', 'exchanges');
-	await deployResources(client, changes, 'added', 'queues');
-
-	await deployResources(client, changes, 'changed', 'vhosts');
-	await deployResources(client, changes, 'changed', 'users');
-	if (recreateChanged) {
-		await deployResources(client, changes, 'changed', 'exchanges', 'deleted');
-		await deployResources(client, changes, 'changed', 'exchanges', 'added');
-		await deployResources(client, changes, 'changed', 'queues', 'deleted');
-		await deployResources(client, changes, 'changed', 'queues', 'added');
-		await deployResources(client, changes, 'changed', 'bindings', 'deleted');
-		await deployResources(client, changes, 'changed', 'bindings', 'added');
-		await deployResources(client, changes, 'implicitlyAffected', 'bindings', 'added');
-	}
-
-	await deployResources(client, changes, 'added', 'bindings');
-	await deployResources(client, changes, 'added', 'permissions');
-	await deployResources(client, changes, 'added', 'topic_permissions');
-	await deployResources(client, changes, 'changed', 'permissions');
-	await deployResources(client, changes, 'changed', 'topic_permissions');
-
-	const deletedResourceCount = Object.entries(changes.deleted)
-		.reduce((acc, [/* type */, list]) => acc + list.length, 0);
-	if (!noDeletions) {
-		const notInDeletedVhost = changes.deleted?.vhosts.length ?
-			({ vhost }) => changes.deleted?.vhosts.find(({ vhost: deletedVhost }) => vhost === deletedVhost) :
-			() => true;
-		await deployResources(client, changes, 'deleted', 'topic_permissions');
-		await deployResources(client, changes, 'deleted', 'permissions', null, notInDeletedVhost);
-		await deployResources(client, changes, 'deleted', 'users', null, notInDeletedVhost);
-		await deployResources(client, changes, 'deleted', 'bindings');
-		await deployResources(client, changes, 'deleted', 'queues');
-		await deployResources(client, changes, 'deleted', 'exchanges');
-		await deployResources(client, changes, 'deleted', 'vhosts');
+	return {
+		plan: planDeploy(changes, { noDeletions, recreateChanged }),
+		fingerprint: fingerprint(current, ignoreList),
+		serverCount: countResources(current, ignoreList),
+	};
+};
+
+const describeOperation = ({ method, path }) => `${method} ${path}`;
+
+// Topic permissions of a user in a vhost before the performed operations
+const topicPermissionsBefore = (performed, topicPermissions, user) => {
+	const state = new Map(topicPermissions
+		.filter((tp) => key.permissions(tp) === user)
+		.map((tp) => [key.topic_permissions(tp), tp]));
+	for (const op of performed.toReversed()) {
+		if (op.type !== 'topic_permissions' || op.operation === 'implicitlyAffected' || key.permissions(op.resource) !== user) {
+			continue;
+		}
+		const effective = op.override ?? op.operation;
+		if (effective === 'added') {
+			state.delete(key.topic_permissions(op.resource));
+		} else {
+			state.set(key.topic_permissions(op.resource), op.before ?? op.resource);
+		}
+	}
+	return [...state.values()];
+};
+
+/**
+ * Lists operations undoing performed operations, latest first. Created resources are deleted and deleted or changed
+ * resources are put back as they were before. Resources deleted with their vhost are restored only if the vhost was deleted.
+ * Topic permissions can only be deleted for every exchange of a user at once, so users with created topic permissions
+ * get theirs deleted and put back as they were before.
+ *
+ * @param {object[]} performed - Succeeded operations in the order they were performed in.
+ * @param {Map<string, string>} propertiesKeyMap - Properties keys of the bindings on the server to delete bindings with.
+ * @param {object[]} topicPermissions - Topic permissions on the server.
+ * @returns {object[]} Operations with the operation they undo in `undoes`.
+ */
+export const planRollback = (performed, propertiesKeyMap = new Map(), topicPermissions = []) => {
+	const deletedVhosts = new Set(performed
+		.filter(({ operation, type, implicit }) => operation === 'deleted' && type === 'vhosts' && !implicit)
+		.map(({ resource }) => resource.name));
+	const createdTopicPermissions = new Map();
+	for (const op of performed) {
+		const user = op.type === 'topic_permissions' && key.permissions(op.resource);
+		if (user && op.operation === 'added' && !createdTopicPermissions.has(user)) {
+			createdTopicPermissions.set(user, op);
+		}
+	}
+	const operation = (op, undoes, resource) => {
+		const [method, path] = C[op][undoes.type](resource);
+		return {
+			step: 0,
+			operation: op,
+			type: undoes.type,
+			method,
+			path,
+			resource,
+			...(op === 'changed' && { before: undoes.resource }),
+			undoes,
+		};
+	};
+	const deleteCreated = (undoes) => {
+		const resource = undoes.type === 'bindings'
+			? { ...undoes.resource, properties_key: propertiesKeyMap.get(key.bindings(undoes.resource)) }
+			: undoes.resource;
+		return operation('deleted', undoes, resource);
+	};
+
+	const undoTopicPermissions = [...createdTopicPermissions].flatMap(([user, undoes]) => [
+		operation('deleted', undoes, undoes.resource),
+		...topicPermissionsBefore(performed, topicPermissions, user).map((tp) => operation('added', undoes, tp)),
+	]);
+
+	return performed.toReversed().flatMap((undoes) => {
+		if (undoes.type === 'topic_permissions' && createdTopicPermissions.has(key.permissions(undoes.resource))) {
+			return [];
+		}
+		if (undoes.implicit) {
+			const isDeleted = undoes.type === 'topic_permissions' || deletedVhosts.has(undoes.resource.vhost);
+			return isDeleted ? [operation('added', undoes, undoes.before ?? undoes.resource)] : [];
+		}
+		if (undoes.operation === 'implicitlyAffected' && undoes.type === 'topic_permissions') {
+			// put back as they were
+			return [];
+		}
+		if (undoes.operation === 'implicitlyAffected') {
+			// the binding was deleted with its source or destination and has to be restored after those are
+			return [deleteCreated(undoes), operation('added', undoes, undoes.resource)];
+		}
+		const effective = undoes.override ?? undoes.operation;
+		if (effective === 'added') {
+			return [deleteCreated(undoes)];
+		}
+		if (effective === 'deleted') {
+			return [operation('added', undoes, undoes.before ?? undoes.resource)];
+		}
+		return [operation('changed', undoes, undoes.before)];
+	}).concat(undoTopicPermissions);
+};
+
+const rollback = async (client, performed) => {
+	console.error(`rolling back ${performed.length} operations`);
+	const propertiesKeyMap = indexPropertiesKeyMap(await client.requestBindings());
+	const topicPermissions = performed.some(({ type }) => type === 'topic_permissions')
+		? (await client.requestDefinitions()).topic_permissions ?? []
+		: [];
+	const operations = planRollback(performed, propertiesKeyMap, topicPermissions);
+	const results = await runOperations(client, operations);
+
+	const failed = results.flatMap((result, idx) => result.status === 'fulfilled' ? [] : [[operations[idx], result.reason]]);
+	console.error(`undid ${operations.length - failed.length} operations` + (failed.length ? `, ${failed.length} could not be undone` : ''));
+	for (const [op, err] of failed) {
+		const deletedWith = op.undoes.type === 'topic_permissions' ? 'the other topic permissions of the user' : 'the vhost';
+		const undone = describeOperation(op.undoes) + (op.undoes.implicit ? `(deleted with ${deletedWith})` : '');
+		console.error(`could not undo ${undone} with ${describeOperation(op)}: ${err.message}`);
+	}
+	return failed.map(([op, err]) => ({ operation: op.undoes, error: err }));
+};
+
+const executePlan = async (client, { operations, ignored = [] }, { rollbackOnFailure = false } = {}) => {
+	const performed = [];
+	try {
+		for (const isInPhase of deployPhases) {
+			const phaseOperations = operations.filter(isInPhase);
+			const results = await runOperations(client, phaseOperations, (op) => performed.push(op));
+
+			const steps = new Set(phaseOperations.map(({ step }) => step));
+			for (const step of steps) {
+				const idxs = phaseOperations.flatMap((op, idx) => op.step === step ? [idx] : []);
+				logStep(idxs.map((idx) => phaseOperations[idx]), idxs.map((idx) => results[idx]));
+			}
+
+			const failed = results.flatMap((result, idx) => result.status === 'rejected' ? [[phaseOperations[idx], result.reason]] : []);
+			for (const [op, err] of failed) {
+				console.error(`failed ${describeOperation(op)}: ${err.message}`);
+			}
+			if (failed.length) {
+				throw failed[0][1];
+			}
+		}
+	} catch (err) {
+		if (rollbackOnFailure) {
+			// the deploy failure is reported either way
+			try {
+				err.notUndone = await rollback(client, performed);
+			} catch (rollbackErr) {
+				console.error(`rollback failed, nothing was undone: ${rollbackErr.message}`);
+				err.notUndone = performed.map((operation) => ({ operation, error: rollbackErr }));
+			}
+		}
+		throw err;
+	}
+
+	const deletedResourceCount = ignored.filter(({ operation }) => operation === 'deleted').length;
+	if (deletedResourceCount) {
+		console.warn(`Ignored ${deletedResourceCount} deleted resource(s). Remove --no-deletions to remove deleted resources from server.`);
+	}
+};
+
+// Fails if the server does not match the definitions after the settle period
+const verify = async (client, definitions, ignoreList, scope) => {
+	if (client.dryRun) {
+		console.warn('Warning: Skipping verification of a dry run.');
+		return;
+	}
+	const { settlePeriod, interval } = config.verify;
+	console.error('verifying the server state');
+	const residual = await verifyConvergence(client, definitions, { ignoreList, scope, settlePeriod, interval });
+	if (residual) {
+		console.error('Remaining differences between the server and the definitions:');
+		console.error(renderPlan(planDeploy(residual, { recreateChanged: true })));
+		throw new Error(`Server has not converged to the definitions in ${settlePeriod}ms`);
+	}
+	console.error('server state matches the definitions');
+};
+
+// Blocks deleting and recreating queues in use unless forced or allowed. Only reports them on a dry run.
+const guardQueues = async (client, operations, { force = false, allowDelete = null, report = client.dryRun }) => {
+	if (!operations.some(({ type, method }) => type === 'queues' && method === 'DELETE')) {
+		return;
+	}
+	const inUse = findQueuesInUse(operations, await client.requestQueues(), allowDelete);
+	if (!inUse.length) {
+		return;
+	}
+	const table = formatQueueTable(inUse);
+	const allowNotice = 'Provide --force or --allow-delete /queues/{vhost}/{name} for each of them to deploy anyway.';
+	if (force) {
+		console.warn(`Warning: Deleting or recreating ${inUse.length} queue(s) in use because of --force:\n${table}`);
+	} else if (report) {
+		console.warn(`Warning: Deploying would be blocked by ${inUse.length} queue(s) in use. ${allowNotice}\n${table}`);
 	} else {
-		if (deletedResourceCount) {
-			console.warn(`Ignored ${deletedResourceCount} deleted resource(s). Remove --no-deletions to remove deleted resources from server.`);
+		console.error(`Refusing to delete or recreate ${inUse.length} queue(s) in use:\n${table}`);
+		throw new Error(`Deleting or recreating queues in use would lose their messages and disconnect their consumers. ${allowNotice}`);
+	}
+};
+
+// Records the deployment with fingerprints of the deployed definitions and of the server state in scope to show with
+// the status subcommand
+const record = async (client, definitions, { ignoreList, scope, revision }) => {
+	if (client.dryRun) {
+		return;
+	}
+	try {
+		const hash = fingerprint(scopeDefinitions(await client.requestDefinitions(), scope), ignoreList);
+		const definitionsHash = fingerprint(scopeDefinitions(definitions, scope), ignoreList);
+		await recordRevision(client, { hash, definitionsHash, scope, ignoreList, revision });
+		console.error(`recorded ${revision === null ? 'the deployment' : `revision ${revision}`} on the server`);
+	} catch (err) {
+		console.warn(`Warning: Could not record the deployment on the server: ${err.message}`);
+	}
+};
+
+// Reads the server state in scope and fails if it does not match the fingerprint the plan was made against
+const readUnchanged = async (client, expected, { ignoreList, scope }, changedMessage) => {
+	const current = scopeDefinitions(await client.requestDefinitions(), scope);
+	if (fingerprint(current, ignoreList) !== expected) {
+		throw new Error(changedMessage);
+	}
+	return current;
+};
+
+// Holds the deploy lock of the server while deploying. Only reports a lock held by another deployment on a dry run.
+const withLock = async (client, fn) => {
+	if (client.dryRun) {
+		const held = await readLock(client);
+		if (held && !isExpired(held)) {
+			console.warn(`Warning: Deploying would be blocked by the lock held by ${describeLock(held)}.`);
+		}
+		return fn();
+	}
+	const lock = await acquireLock(client, config.lock);
+	try {
+		return await fn();
+	} finally {
+		await releaseLock(client, lock).catch((err) => {
+			console.warn(`Warning: Could not release the lock of the server: ${err.message}. Break it with the lock break subcommand.`);
+		});
+	}
+};
+
+// Saves the server state to restore it with the restore subcommand. Nothing is saved on a dry run or if nothing changes.
+const snapshot = async (client, { operations }, dir) => {
+	if (client.dryRun || !dir || !operations.length) {
+		return;
+	}
+	console.error(`server state saved to ${await takeSnapshot(client, dir)}`);
+};
+
+// Blocks deploying to a server not ready for the definitions before anything is changed. Only reports it on a dry run.
+const guardPreflight = async (client, definitions, operations, { skip = false, report = client.dryRun }) => {
+	if (skip) {
+		console.warn('Warning: Skipping preflight checks because of --skip-preflight.');
+		return;
+	}
+	const [overview, featureFlags, whoami, alarms] = await Promise.all([
+		client.requestOverview(),
+		client.requestFeatureFlags(),
+		client.requestWhoami(),
+		client.requestHealthCheck('alarms').catch((err) => {
+			if (err.status !== 404) {
+				throw err;
+			}
+			console.warn('Warning: Skipping the alarms check, the server does not support health checks.');
+			return null;
+		}),
+	]);
+	const failed = checkPreflight(definitions, operations, { overview, featureFlags, whoami, alarms });
+	if (!failed.length) {
+		return;
+	}
+	const list = failed.map((line) => `  ${line}`).join('\n');
+	const skipNotice = 'Provide --skip-preflight to deploy anyway.';
+	if (report) {
+		console.warn(`Warning: Deploying would be blocked by preflight checks. ${skipNotice}\n${list}`);
+	} else {
+		console.error(`Refusing to deploy, preflight checks failed:\n${list}`);
+		throw new Error(`The server is not ready for the definitions. ${skipNotice}`);
+	}
+};
+
+// Blocks plans exceeding the change limits before anything is changed. Only reports them on a dry run.
+const guardBudget = (plan, serverCount, limits, { report }) => {
+	const exceeded = checkBudget(plan, serverCount, limits);
+	if (!exceeded.length) {
+		return;
+	}
+	const list = exceeded.map((line) => `  ${line}`).join('\n');
+	const raiseNotice = 'Review the plan and raise the limits with --max-deletions, --max-changes, --max-changes-per-type or --max-deletion-ratio to deploy anyway.';
+	if (report) {
+		console.warn(`Warning: Deploying would be blocked by change limits. ${raiseNotice}\n${list}`);
+	} else {
+		console.error(`Refusing to deploy, the plan exceeds change limits:\n${list}`);
+		throw new Error(`The plan exceeds change limits. ${raiseNotice}`);
+	}
+};
+
+// Runs the change limit and queues in use guards on a plan
+const guardPlan = async (client, plan, serverCount, { limits, force, allowDelete }) => {
+	guardBudget(plan, serverCount, limits, { report: client.dryRun });
+	await guardQueues(client, plan.operations, { force, allowDelete });
+};
+
+// Asks for confirmation of a plan after guarding it and guards a selection of it again
+const guardAndConfirm = async (client, plan, serverCount, { confirm, ...guardOptions }) => {
+	await guardPlan(client, plan, serverCount, guardOptions);
+	const confirmed = confirm ? await confirm(plan) : plan;
+	if (!confirmed) {
+		console.error('Deployment cancelled. Nothing was changed.');
+	} else if (confirmed !== plan) {
+		await guardPlan(client, confirmed, serverCount, guardOptions);
+	}
+	return confirmed;
+};
+
+/**
+ * Makes a plan to be reviewed and later deployed with `deployPlan`.
+ * The plan includes a fingerprint of the server state it was made against.
+ *
+ * @returns {Promise<object>} Content of the plan file.
+ */
+export const createPlan = async (serverBaseUrl, definitions, { noDeletions = false, recreateChanged = false, ignoreList = null, scope = null, allowDelete = null, limits = config.budget, skipPreflight = false, connection = config.connection }) => {
+	const client = new RabbitClient(serverBaseUrl, { dryRun: true, connection });
+	const { plan, fingerprint, serverCount } = await prepareDeploy(client, definitions, { noDeletions, recreateChanged, ignoreList, scope });
+	// preflight checks, limits and queues in use are checked again when the plan is deployed
+	await guardPreflight(client, scopeDefinitions(definitions, scope), plan.operations, { skip: skipPreflight, report: true });
+	guardBudget(plan, serverCount, limits, { report: true });
+	await guardQueues(client, plan.operations, { allowDelete, report: true });
+	return toPlanFile(plan, { server: client.baseUrl, fingerprint, definitions: scopeDefinitions(definitions, scope), ignoreList, scope, noDeletions, recreateChanged });
+};
+
+// Makes the request of an operation in a plan file again from its resource, so that an edited plan file can only
+// request the endpoints of the resources in it
+const withRequest = (op) => {
+	const effective = op.override ?? op.operation;
+	if (typeof C[effective]?.[op.type] !== 'function') {
+		throw new Error(`Invalid operation "${effective}" on type "${op.type}" in the plan file`);
+	}
+	const [method, path] = C[effective][op.type](op.resource);
+	return { ...op, method, path };
+};
+
+/**
+ * Deploys exactly the operations in a plan file made by `createPlan`.
+ * Refuses to deploy if the server state has changed since the plan was made.
+ */
+export const deployPlan = async (serverBaseUrl, planFile, { dryRun = false, planFormat = 'text', rollbackOnFailure = false, journal = null, verifyAfter = false, force = false, allowDelete = null, limits = config.budget, confirm = null, skipPreflight = false, snapshotDir = config.snapshotDir, revision = null, connection = config.connection }) => {
+	assertPlanFile(planFile);
+	const planned = { ...planFile, operations: planFile.operations.map(withRequest) };
+	if (dryRun) {
+		console.warn('Warning: Dry run is enabled. No changes will be applied.');
+	}
+	const client = new RabbitClient(serverBaseUrl, { dryRun, journal, connection });
+	if (client.baseUrl !== planFile.server) {
+		throw new Error(`Plan was made for server ${planFile.server}, not ${client.baseUrl}`);
+	}
+	const { scope } = planFile;
+	const changedSincePlan = `Server state has changed since the plan was made at ${planFile.createdAt}. Make a new plan.`;
+	const current = await readUnchanged(client, planFile.fingerprint, { ignoreList: planFile.ignoreList, scope }, changedSincePlan);
+
+	if (dryRun) {
+		console.log(renderPlan(planned, { format: planFormat }));
+	}
+	await guardPreflight(client, planFile.definitions, planned.operations, { skip: skipPreflight });
+	const plan = await guardAndConfirm(client, planned, countResources(current, planFile.ignoreList), { confirm, limits, force, allowDelete });
+	if (!plan) {
+		return;
+	}
+	await withLock(client, async () => {
+		await readUnchanged(client, planFile.fingerprint, { ignoreList: planFile.ignoreList, scope }, changedSincePlan);
+		await snapshot(client, plan, snapshotDir);
+		await executePlan(client, plan, { rollbackOnFailure });
+		if (verifyAfter) {
+			await verify(client, planFile.definitions, planFile.ignoreList, scope);
 		}
+		await record(client, planFile.definitions, { ignoreList: planFile.ignoreList, scope, revision });
+	});
+};
+
+const deploy = async (serverBaseUrl, definitions, { dryRun = false, noDeletions = false, recreateChanged = false, ignoreList = null, scope = null, planFormat = 'text', rollbackOnFailure = false, journal = null, verifyAfter = false, force = false, allowDelete = null, limits = config.budget, confirm = null, skipPreflight = false, snapshotDir = config.snapshotDir, revision = null, connection = config.connection }) => {
+	if (dryRun) {
+		console.warn('Warning: Dry run is enabled. No changes will be applied.');
+	}
+	const client = new RabbitClient(serverBaseUrl, { dryRun, journal, connection });
+	const prepared = await prepareDeploy(client, definitions, { noDeletions, recreateChanged, ignoreList, scope });
+
+	if (dryRun) {
+		console.log(renderPlan(prepared.plan, { format: planFormat }));
+	}
+	await guardPreflight(client, scopeDefinitions(definitions, scope), prepared.plan.operations, { skip: skipPreflight });
+	const plan = await guardAndConfirm(client, prepared.plan, prepared.serverCount, { confirm, limits, force, allowDelete });
+	if (!plan) {
+		return;
+	}
+	await withLock(client, async () => {
+		await readUnchanged(client, prepared.fingerprint, { ignoreList, scope }, 'Server state has changed while preparing the deployment. Deploy again.');
+		await snapshot(client, plan, snapshotDir);
+		await executePlan(client, plan, { rollbackOnFailure });
+		if (verifyAfter) {
+			await verify(client, definitions, ignoreList, scope);
+		}
+		await record(client, definitions, { ignoreList, scope, revision });
+	});
+};
+
+/**
+ * Reads the record of the last deployment in a scope on a server and whether the server state in the scope still
+ * matches it.
+ *
+ * @param {URL} serverBaseUrl
+ * @param {{ scope?: object | null, connection?: object }} options - Scope of the deployment and connection options of
+ * `RabbitClient`.
+ * @returns {Promise<{ deployment: object | null, hash: string, matches: boolean }>}
+ */
+export const getStatus = async (serverBaseUrl, { scope = null, connection = config.connection } = {}) => {
+	const client = new RabbitClient(serverBaseUrl, { connection });
+	const [deployment, definitions] = await Promise.all([readRevision(client, scope), client.requestDefinitions()]);
+	const hash = fingerprint(scopeDefinitions(definitions, scope), deployment?.ignoreList ?? null);
+	return { deployment, hash, matches: deployment?.hash === hash };
+};
+
+/**
+ * Deploys a snapshot saved by a deployment back to a server. Deleted resources are deleted and changed ones recreated
+ * to match the server state in the snapshot.
+ *
+ * @param {URL} serverBaseUrl
+ * @param {string} snapshotPath - Directory of the snapshot.
+ * @param {object} options - Options of `deploy` other than `noDeletions` and `recreateChanged`.
+ */
+export const restore = async (serverBaseUrl, snapshotPath, options = {}) => {
+	const { server, createdAt, definitions } = readSnapshotSync(snapshotPath);
+	const { baseUrl } = parseUrl(serverBaseUrl);
+	if (baseUrl !== server) {
+		console.warn(`Warning: Restoring a snapshot of ${server} to ${baseUrl}.`);
 	}
+	console.error(`restoring the server state saved at ${createdAt}`);
+	await deploy(serverBaseUrl, definitions, { ...options, noDeletions: false, recreateChanged: true });
 };
 
 export default deploy;
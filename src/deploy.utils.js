@@ -1,5 +1,7 @@
 import diff from './diff.js';
-import { key } from './Index.js';
+import { key, destinationTypeToIndex } from './Index.js';
+import { sleep } from './scheduler.js';
+import { scopeDefinitions } from './scope.js';
 
 export const indexPropertiesKeyMap = (bindings) => {
 	return new Map(bindings.map((item) => {
@@ -7,10 +9,10 @@ export const indexPropertiesKeyMap = (bindings) => {
 	}));
 };
 
-export const diffServer = async (client, definitions, ignoreList) => {
+export const requestServerState = async (client) => {
 	const [
 		bindings,
-		current,
+		definitions,
 	] = await Promise.all([
 		// Must request bindings separately because properties_key is
 		// not included in standard definitions file. Later merge
@@ -18,8 +20,12 @@ export const diffServer = async (client, definitions, ignoreList) => {
 		client.requestBindings(),
 		client.requestDefinitions(),
 	]);
+	return { bindings, definitions };
+};
+
+export const diffServerState = ({ bindings, definitions: current }, definitions, ignoreList, scope = null) => {
 	const propertiesKeyMap = indexPropertiesKeyMap(bindings);
-	const changes = diff(current, definitions, ignoreList);
+	const changes = diff(scopeDefinitions(current, scope), scopeDefinitions(definitions, scope), ignoreList);
 
 	for (const b of changes['deleted']['bindings']) {
 		const bKey = key.bindings(b);
@@ -33,3 +39,147 @@ export const diffServer = async (client, definitions, ignoreList) => {
 
 	return changes;
 };
+
+export const diffServer = async (client, definitions, ignoreList, scope = null) => {
+	return diffServerState(await requestServerState(client), definitions, ignoreList, scope);
+};
+
+export const countChanges = (changes) => {
+	return ['added', 'deleted', 'changed']
+		.flatMap((operation) => Object.values(changes[operation]))
+		.reduce((acc, list) => acc + list.length, 0);
+};
+
+/**
+ * Diffs the server against definitions until there are no differences or the settle period is over.
+ *
+ * @returns {Promise<object | null>} Remaining changes or null if the server matches the definitions.
+ */
+export const verifyConvergence = async (client, definitions, { ignoreList = null, scope = null, settlePeriod = 0, interval = 1000 } = {}) => {
+	const deadline = Date.now() + settlePeriod;
+	for (;;) {
+		const residual = await diffServer(client, definitions, ignoreList, scope);
+		if (!countChanges(residual)) {
+			return null;
+		}
+		if (Date.now() + interval > deadline) {
+			return residual;
+		}
+		await sleep(interval);
+	}
+};
+
+// Resources that have to exist before a resource is created and can only be deleted after it.
+// Alternate and dead-letter exchanges are soft references: the server accepts them missing.
+const references = (type, resource) => {
+	const { vhost } = resource;
+	const refs = [];
+	const ref = (refType, refResource, soft = false) => refs.push({ type: refType, resource: refResource, soft });
+	const exchange = (name, soft) => name && ref('exchanges', { vhost, name }, soft);
+
+	if (type !== 'vhosts' && typeof vhost === 'string') {
+		ref('vhosts', { name: vhost });
+	}
+	if (type === 'queues') {
+		exchange(resource.arguments?.['x-dead-letter-exchange'], true);
+	}
+	if (type === 'exchanges') {
+		exchange(resource.arguments?.['alternate-exchange'], true);
+	}
+	if (type === 'bindings') {
+		exchange(resource.source);
+		ref(destinationTypeToIndex[resource.destination_type], { vhost, name: resource.destination });
+	}
+	if (type === 'permissions' || type === 'topic_permissions') {
+		ref('users', { name: resource.user });
+	}
+	if (type === 'topic_permissions') {
+		exchange(resource.exchange);
+	}
+	if (type === 'policies') {
+		exchange(resource.definition?.['dead-letter-exchange'], true);
+		exchange(resource.definition?.['alternate-exchange'], true);
+	}
+	return refs;
+};
+
+/**
+ * Lists the operations each operation has to wait for: operations on the same resource run in the order given,
+ * referenced resources are created first and deleted last. Topic permissions of a user in a vhost are deleted for every
+ * exchange at once, so their deletions run in the order given relative to the other operations on them.
+ *
+ * @param {object[]} operations - Operations from `planDeploy`.
+ * @returns {number[][]} Indices of the operations each operation depends on.
+ */
+export const operationDependencies = (operations) => {
+	const id = (type, resource) => `${type}:${key[type](resource)}`;
+	const byId = new Map();
+	operations.forEach((op, idx) => {
+		const opId = id(op.type, op.resource);
+		byId.set(opId, [...(byId.get(opId) ?? []), idx]);
+	});
+	const isDeletion = (idx) => operations[idx].operation === 'deleted';
+	const dependencies = operations.map(() => new Set());
+
+	const reaches = (from, to) => {
+		const visited = new Set();
+		const stack = [from];
+		while (stack.length) {
+			const idx = stack.pop();
+			if (idx === to) {
+				return true;
+			}
+			if (!visited.has(idx)) {
+				visited.add(idx);
+				stack.push(...dependencies[idx]);
+			}
+		}
+		return false;
+	};
+
+	const soft = [];
+	operations.forEach((op, idx) => {
+		const same = byId.get(id(op.type, op.resource));
+		const previous = same[same.indexOf(idx) - 1];
+		if (previous !== undefined) {
+			dependencies[idx].add(previous);
+		}
+		for (const ref of references(op.type, op.resource)) {
+			for (const other of byId.get(id(ref.type, ref.resource)) ?? []) {
+				if (other === idx || isDeletion(idx) !== isDeletion(other)) {
+					continue;
+				}
+				const [from, to] = isDeletion(idx) ? [other, idx] : [idx, other];
+				if (ref.soft) {
+					soft.push([from, to]);
+				} else {
+					dependencies[from].add(to);
+				}
+			}
+		}
+	});
+	const byUser = new Map();
+	operations.forEach((op, idx) => {
+		if (op.type === 'topic_permissions') {
+			const user = key.permissions(op.resource);
+			byUser.set(user, [...(byUser.get(user) ?? []), idx]);
+		}
+	});
+	for (const idxs of byUser.values()) {
+		idxs.forEach((idx, pos) => {
+			for (const previous of idxs.slice(0, pos)) {
+				if (operations[idx].method === 'DELETE' || operations[previous].method === 'DELETE') {
+					dependencies[idx].add(previous);
+				}
+			}
+		});
+	}
+	// soft references may form cycles, e.g. exchanges being each other's alternate exchanges
+	for (const [from, to] of soft) {
+		if (!reaches(to, from)) {
+			dependencies[from].add(to);
+		}
+	}
+
+	return dependencies.map((deps) => [...deps]);
+};
@@ -3,6 +3,8 @@ import { isDeepStrictEqual, inspect } from 'util';
 
 import Index from './Index.js';
 import HashSet from './HashSet.js';
+import { lockParameter } from './lock.js';
+import { isRevisionParameter } from './revision.js';
 
 const isVhostEqual = (a, b) => {
 	if (!!a !== !!b) {
@@ -23,6 +25,44 @@ const isVhostEqual = (a, b) => {
 	return true;
 };
 
+// Global parameters the server generates and manages itself and the ones deployments keep their state in.
+// Never reported as changes.
+const serverManagedGlobalParameters = ['internal_cluster_id', lockParameter];
+
+/**
+ * Leaves out the global parameters managed by the server and the deployments from an index of global parameters.
+ *
+ * @param {import('./HashSet.js').default} globalParameters
+ */
+export const deleteServerManagedGlobalParameters = (globalParameters) => {
+	for (const parameter of [...globalParameters.values()]) {
+		if (serverManagedGlobalParameters.includes(parameter.name) || isRevisionParameter(parameter.name)) {
+			globalParameters.delete(parameter);
+		}
+	}
+};
+
+const isPlainObject = (value) => {
+	return value !== null && typeof value === 'object' && !Array.isArray(value);
+};
+
+// Lists changed properties between two versions of a resource. Arrays are compared as values.
+export const listChanges = (before, after, path = []) => {
+	if (isPlainObject(before) && isPlainObject(after)) {
+		const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+		return keys.flatMap((key) => listChanges(before[key], after[key], [...path, key]));
+	}
+	if (isDeepStrictEqual(before, after)) {
+		return [];
+	}
+	return [{ path, before, after }];
+};
+
+export const formatChange = ({ path, before, after }) => {
+	const format = (value) => inspect(value, { breakLength: Infinity, depth: Infinity });
+	return `${path.join('.')}: ${format(before)} -> ${format(after)}`;
+};
+
 const diffMapsConsuming = (before, after, isEqual = isDeepStrictEqual) => {
 	const added = [];
 	const deleted = [];
@@ -39,7 +79,7 @@ const diffMapsConsuming = (before, after, isEqual = isDeepStrictEqual) => {
 		if (beforeItem === undefined) {
 			added.push(afterItem);
 		} else if (!isEqual(beforeItem, afterItem)) {
-			changed.push({ before: beforeItem, after: afterItem });
+			changed.push({ before: beforeItem, after: afterItem, changes: listChanges(beforeItem, afterItem) });
 		} else {
 			unaffected.push(afterItem);
 		}
@@ -66,6 +106,9 @@ const makeChangeMap = () => {
 		users: [],
 		permissions: [],
 		topic_permissions: [],
+		policies: [],
+		parameters: [],
+		global_parameters: [],
 	};
 };
 
@@ -124,6 +167,15 @@ const diff = (beforeDef, afterDef, ignoreList = null) => {
 	collectDiff('users', before.users, after.users);
 	collectDiff('permissions', before.permissions, after.permissions);
 	collectDiff('topic_permissions', before.topic_permissions, after.topic_permissions);
+	// deleting a topic permission deletes the topic permissions of the user for every exchange in the vhost
+	const implicitlyAffectedTopicPermissions = unaffected.topic_permissions.filter(({ vhost, user }) => {
+		return deleted.topic_permissions.some((tp) => tp.vhost === vhost && tp.user === user);
+	});
+	collectDiff('policies', before.policies, after.policies);
+	collectDiff('parameters', before.parameters, after.parameters);
+	deleteServerManagedGlobalParameters(before.global_parameters);
+	deleteServerManagedGlobalParameters(after.global_parameters);
+	collectDiff('global_parameters', before.global_parameters, after.global_parameters);
 
 	return {
 		added,
@@ -131,6 +183,7 @@ const diff = (beforeDef, afterDef, ignoreList = null) => {
 		changed,
 		implicitlyAffected: {
 			bindings: implicitlyAffectedBindings,
+			topic_permissions: implicitlyAffectedTopicPermissions,
 		},
 	};
 };
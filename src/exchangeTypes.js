@@ -0,0 +1,20 @@
+import C, { builtinExchangeTypes } from './config.js';
+
+export const exchangeTypes = [...builtinExchangeTypes, ...Object.keys(C.customExchangeTypes)];
+
+/**
+ * Resolves the built-in exchange type an exchange routes like.
+ * Custom types without a configured routing type fall back to `x-delayed-type` argument used by the delayed message plugin.
+ *
+ * @param {{ type: string, arguments?: object }} exchange
+ * @returns {string | null} Built-in type or null if routing of the exchange is unknown.
+ */
+export const getRoutingType = (exchange) => {
+	if (builtinExchangeTypes.includes(exchange.type)) {
+		return exchange.type;
+	}
+	const routingType = C.customExchangeTypes[exchange.type] ?? exchange.arguments?.['x-delayed-type'] ?? null;
+	return builtinExchangeTypes.includes(routingType) ? routingType : null;
+};
+
+export default getRoutingType;
@@ -0,0 +1,170 @@
+import * as nodeAssert from 'node:assert/strict';
+import { appendFileSync, readFileSync } from 'node:fs';
+import { isDeepStrictEqual } from 'node:util';
+
+import { key } from './Index.js';
+
+const redacted = '[redacted]';
+// also matches password hashes, which are replayed from the journal redacted
+const sensitiveKey = /password|secret|token/i;
+const credentialsInUri = /^([a-z][a-z0-9+.-]*:\/\/[^:/@\s]*):[^@\s]*@/i;
+
+export const redact = (value) => {
+	if (Array.isArray(value)) {
+		return value.map(redact);
+	}
+	if (value !== null && typeof value === 'object') {
+		return Object.fromEntries(Object.entries(value).map(([name, item]) => {
+			return [name, sensitiveKey.test(name) ? redacted : redact(item)];
+		}));
+	}
+	if (typeof value === 'string') {
+		return value.replace(credentialsInUri, `$1:${redacted}@`);
+	}
+	return value;
+};
+
+/**
+ * Appends a JSON line per management API request to a file.
+ */
+export class Journal {
+	path;
+
+	constructor(path) {
+		nodeAssert.equal(typeof path, 'string', 'Path to the journal required');
+		this.path = path;
+	}
+
+	/**
+	 * @param {{ method: string, path: string, body?: object, context?: object, started: number, status?: number | null, response?: any, error?: Error, dryRun?: boolean }} request
+	 */
+	record({ method, path, body, context = {}, started, status = null, response, error, dryRun = false }) {
+		const { type = null, operation = null, override = null, before, rollback = false } = context;
+		const entry = {
+			timestamp: new Date(started).toISOString(),
+			method,
+			path,
+			type,
+			operation,
+			override,
+			rollback,
+			resourceKey: type && body ? key[type](body) : null,
+			body: redact(body),
+			before: redact(before),
+			status: error?.status ?? status,
+			// responses to reading the server state are left out for their size
+			response: method === 'GET' ? undefined : redact(error?.context?.response ?? response),
+			error: error?.message,
+			duration: Date.now() - started,
+			dryRun,
+		};
+		appendFileSync(this.path, JSON.stringify(entry) + '\n');
+	}
+}
+
+export const readJournalSync = (path) => {
+	return readFileSync(path, 'utf8')
+		.split(/\r?\n/)
+		.filter(Boolean)
+		.map((line) => JSON.parse(line));
+};
+
+const isMutation = ({ method }) => method !== 'GET';
+// properties key is set by the server and only used to delete bindings
+const withoutPropertiesKey = (resource) => {
+	if (resource?.properties_key === undefined) {
+		return resource;
+	}
+	const result = { ...resource };
+	delete result.properties_key;
+	return result;
+};
+const isSucceeded = ({ error, status }) => !error && (status === null || status < 300);
+
+/**
+ * Summarises requests in a journal.
+ *
+ * @param {object[]} entries
+ * @returns {{ requests: number, mutations: number, dryRun: number, statuses: Object<string, number>, operations: Object<string, number>, failed: object[], duration: number }}
+ */
+export const summarizeJournal = (entries) => {
+	const count = (acc, name) => {
+		acc[name] = (acc[name] ?? 0) + 1;
+		return acc;
+	};
+	const mutations = entries.filter(isMutation);
+	return {
+		requests: entries.length,
+		mutations: mutations.length,
+		dryRun: entries.filter(({ dryRun }) => dryRun).length,
+		statuses: entries.map(({ status }) => String(status)).reduce(count, {}),
+		// requests not made for a resource, e.g. for the deploy lock, are left out
+		operations: mutations
+			.filter((entry) => isSucceeded(entry) && entry.type)
+			.map(({ rollback, operation, override, type }) => `${rollback ? 'rollback ' : ''}${override ?? operation} ${type}`)
+			.reduce(count, {}),
+		failed: entries.filter((entry) => !isSucceeded(entry)),
+		duration: entries.reduce((acc, { duration }) => acc + duration, 0),
+	};
+};
+
+/**
+ * Replays succeeded mutations in a journal into a diff `apply` can consume.
+ * A resource deleted and added again is reported as changed and the bindings recreated with their exchange or queue are left out.
+ *
+ * @param {object[]} entries
+ * @returns {{ added: object, deleted: object, changed: object }}
+ */
+export const journalToDiff = (entries) => {
+	const added = new Map();
+	const deleted = new Map();
+	const changed = new Map();
+
+	for (const entry of entries.filter((entry) => isMutation(entry) && isSucceeded(entry) && entry.type)) {
+		const { type, operation, override } = entry;
+		const resource = withoutPropertiesKey(entry.body);
+		const before = withoutPropertiesKey(entry.before);
+		if (operation === 'implicitlyAffected') {
+			continue;
+		}
+		const id = `${type}:${key[type](resource)}`;
+		const effective = override ?? operation;
+		if (effective === 'added') {
+			const wasDeleted = deleted.get(id);
+			deleted.delete(id);
+			if (!wasDeleted) {
+				added.set(id, { type, resource });
+			} else if (!isDeepStrictEqual(wasDeleted.resource, resource)) {
+				changed.set(id, { type, before: wasDeleted.resource, after: resource });
+			}
+		} else if (effective === 'deleted') {
+			if (!added.delete(id)) {
+				// recreated resources are deleted with the request for the new state
+				deleted.set(id, { type, resource: changed.get(id)?.before ?? before ?? resource });
+				changed.delete(id);
+			}
+		} else if (effective === 'changed') {
+			const previous = changed.get(id) ?? added.get(id);
+			if (previous?.resource) {
+				added.set(id, { type, resource });
+			} else if (isDeepStrictEqual(previous?.before ?? before, resource)) {
+				changed.delete(id);
+			} else {
+				changed.set(id, { type, before: previous?.before ?? before, after: resource });
+			}
+		}
+	}
+
+	const byType = (map, fn) => {
+		const result = {};
+		for (const item of map.values()) {
+			(result[item.type] ??= []).push(fn(item));
+		}
+		return result;
+	};
+	return {
+		added: byType(added, ({ resource }) => resource),
+		deleted: byType(deleted, ({ resource }) => resource),
+		changed: byType(changed, ({ before, after }) => ({ before, after })),
+	};
+};
@@ -0,0 +1,88 @@
+import { randomUUID } from 'node:crypto';
+import { hostname, userInfo } from 'node:os';
+
+import { sleep } from './scheduler.js';
+
+// Global parameter holding the lock on the server
+export const lockParameter = 'rabbit-toolbelt-deploy-lock';
+
+const lockPath = `/api/global-parameters/${lockParameter}`;
+
+export const isExpired = (lock, now = Date.now()) => Date.parse(lock.startedAt) + lock.ttl <= now;
+
+export const describeLock = ({ owner, host, pid, startedAt, ttl }) => {
+	const expiresAt = new Date(Date.parse(startedAt) + ttl).toISOString();
+	return `"${owner}" on ${host}(pid ${pid}) since ${startedAt}, expiring at ${expiresAt}`;
+};
+
+/**
+ * @param {import('./RabbitClient.js').default} client
+ * @returns {Promise<object | null>} The lock on the server or null if the server is not locked.
+ */
+export const readLock = async (client) => {
+	return (await client.requestGlobalParameter(lockParameter))?.value ?? null;
+};
+
+/**
+ * Locks the server for a deployment. Fails if the server is locked by another deployment and the lock has not expired.
+ * The management API has no conditional writes, so the lock is read again after a delay to detect deployments
+ * taking the lock at the same time.
+ *
+ * @param {import('./RabbitClient.js').default} client
+ * @param {{ owner?: string | null, ttl: number, settleDelay?: number }} options - TTL in milliseconds.
+ * @returns {Promise<object>} The lock to release with `releaseLock`.
+ */
+export const acquireLock = async (client, { owner = null, ttl, settleDelay = 500 }) => {
+	const held = await readLock(client);
+	if (held && !isExpired(held)) {
+		throw new Error(`Server is locked by ${describeLock(held)}. Wait for the deployment to finish or break the lock with the lock break subcommand.`);
+	}
+	if (held) {
+		console.warn(`Warning: Taking over the expired lock of ${describeLock(held)}.`);
+	}
+
+	const lock = {
+		id: randomUUID(),
+		owner: owner ?? userInfo().username,
+		host: hostname(),
+		pid: process.pid,
+		startedAt: new Date().toISOString(),
+		ttl,
+	};
+	await client.request('PUT', lockPath, { name: lockParameter, value: lock });
+	await sleep(settleDelay);
+	const current = await readLock(client);
+	if (current?.id !== lock.id) {
+		throw new Error(`Lost the lock to ${current ? describeLock(current) : 'a lock break'} while taking it.`);
+	}
+	return lock;
+};
+
+/**
+ * Removes a lock taken with `acquireLock` unless it has been broken or taken over since.
+ *
+ * @param {import('./RabbitClient.js').default} client
+ * @param {object} lock
+ */
+export const releaseLock = async (client, lock) => {
+	const current = await readLock(client);
+	if (current?.id !== lock.id) {
+		console.warn(`Warning: Lock of the server was ${current ? `taken over by ${describeLock(current)}` : 'broken'} during the deployment.`);
+		return;
+	}
+	await client.request('DELETE', lockPath);
+};
+
+/**
+ * Removes the lock on the server regardless of its owner.
+ *
+ * @param {import('./RabbitClient.js').default} client
+ * @returns {Promise<object | null>} The removed lock or null if the server was not locked.
+ */
+export const breakLock = async (client) => {
+	const held = await readLock(client);
+	if (held) {
+		await client.request('DELETE', lockPath);
+	}
+	return held;
+};
@@ -0,0 +1,92 @@
+import * as nodeAssert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+
+import Index from './Index.js';
+import { createScope, resourceTypes } from './scope.js';
+import { deleteServerManagedGlobalParameters } from './diff.js';
+
+export const planFileVersion = 1;
+
+const methods = ['PUT', 'POST', 'DELETE'];
+
+// JSON with object keys sorted so that the same state always serializes the same way
+const canonicalize = (value) => {
+	if (Array.isArray(value)) {
+		return `[${value.map(canonicalize).join(',')}]`;
+	}
+	if (value !== null && typeof value === 'object') {
+		return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+	}
+	return JSON.stringify(value) ?? 'null';
+};
+
+/**
+ * Hashes the resources in server definitions. Order of the resources, metadata, ignored resources and global parameters
+ * managed by the server do not affect the result.
+ *
+ * @param {object} definitions - Definitions from the server.
+ * @param {string[] | null} ignoreList - Ignore list the plan was made with.
+ * @returns {string}
+ */
+export const fingerprint = (definitions, ignoreList = null) => {
+	const ignoreIndex = Array.isArray(ignoreList) && ignoreList.length ? Index.fromIgnoreList(ignoreList) : null;
+	const index = Index.fromDefinitions(definitions, false, ignoreIndex);
+	deleteServerManagedGlobalParameters(index.global_parameters);
+	const hash = createHash('sha256');
+	for (const type of resourceTypes) {
+		const resources = [...index[type].values()].map(canonicalize).sort();
+		hash.update(`${type}:${resources.length}\n`);
+		for (const resource of resources) {
+			hash.update(`${resource}\n`);
+		}
+	}
+	return hash.digest('hex');
+};
+
+/**
+ * Builds the content of a plan file.
+ *
+ * @param {{ operations: object[], ignored: object[] }} plan - Result of `planDeploy`.
+ * @param {{ server: string, fingerprint: string, definitions: object, ignoreList?: string[] | null, scope?: object | null, noDeletions?: boolean, recreateChanged?: boolean }} meta
+ * @returns {object}
+ */
+export const toPlanFile = (plan, { server, fingerprint, definitions, ignoreList = null, scope = null, noDeletions = false, recreateChanged = false }) => {
+	return {
+		version: planFileVersion,
+		createdAt: new Date().toISOString(),
+		server,
+		fingerprint,
+		ignoreList: ignoreList ?? [],
+		// the fingerprint and the definitions only cover the resources in scope
+		scope,
+		options: { noDeletions, recreateChanged },
+		operations: plan.operations,
+		ignored: plan.ignored,
+		// target state to verify the deployment against
+		definitions,
+	};
+};
+
+export const assertPlanFile = (planFile) => {
+	nodeAssert.ok(planFile && typeof planFile === 'object', 'Expected plan file to contain an object');
+	nodeAssert.equal(planFile.version, planFileVersion, `Unsupported plan file version: ${planFile.version}. Make a new plan.`);
+	nodeAssert.equal(typeof planFile.server, 'string', 'Expected plan file to have a server');
+	nodeAssert.match(planFile.fingerprint ?? '', /^[0-9a-f]{64}$/, 'Expected plan file to have a fingerprint');
+	nodeAssert.ok(Array.isArray(planFile.ignoreList), 'Expected plan file to have an ignore list');
+	nodeAssert.ok(Array.isArray(planFile.operations), 'Expected plan file to have a list of operations');
+	nodeAssert.ok(planFile.definitions && typeof planFile.definitions === 'object', 'Expected plan file to have the definitions it was made for');
+	nodeAssert.ok(planFile.scope === null || (planFile.scope && typeof planFile.scope === 'object'), 'Expected plan file to have a scope');
+	if (planFile.scope) {
+		createScope(planFile.scope);
+	}
+	planFile.operations.forEach((op, idx) => {
+		nodeAssert.ok(Number.isInteger(op?.step), `Expected operation ${idx} to have a step`);
+		nodeAssert.ok(methods.includes(op.method), `Expected operation ${idx} to have a method, got ${op.method}`);
+		nodeAssert.ok(typeof op.path === 'string' && op.path.startsWith('/api/'), `Expected operation ${idx} to have an API path, got ${op.path}`);
+		nodeAssert.ok(resourceTypes.includes(op.type), `Expected operation ${idx} to have a resource type, got ${op.type}`);
+		nodeAssert.ok(op.resource && typeof op.resource === 'object', `Expected operation ${idx} to have a resource`);
+		if (idx) {
+			nodeAssert.ok(op.step >= planFile.operations[idx - 1].step, `Expected operations to be ordered by step, operation ${idx} is not`);
+		}
+	});
+};
@@ -0,0 +1,86 @@
+import config from './config.js';
+
+// Feature flags queues of a type need enabled on the server
+const queueTypeFeatureFlags = {
+	quorum: 'quorum_queue',
+	stream: 'stream_queue',
+};
+
+// Definitions further apart from the server version are only warned about unless a maximum drift is configured
+const defaultMinorVersionDrift = 1;
+
+const parseVersion = (version) => {
+	const match = String(version).match(/^(\d+)\.(\d+)/);
+	return match ? [Number(match[1]), Number(match[2])] : null;
+};
+
+/**
+ * Whether definitions exported from one RabbitMQ version are too far from another version to be deployed to it.
+ *
+ * @param {string} definitionsVersion - `rabbit_version` of the definitions.
+ * @param {string} serverVersion - `rabbitmq_version` of the server.
+ * @param {number} maxMinorVersionDrift - Minor versions the versions can be apart within the same major version.
+ * @returns {boolean} False if either of the versions can not be parsed.
+ */
+export const isVersionFar = (definitionsVersion, serverVersion, maxMinorVersionDrift = defaultMinorVersionDrift) => {
+	const [from, to] = [parseVersion(definitionsVersion), parseVersion(serverVersion)];
+	if (!from || !to) {
+		return false;
+	}
+	return from[0] !== to[0] || Math.abs(from[1] - to[1]) > maxMinorVersionDrift;
+};
+
+// Older servers list tags as a comma-separated string
+const getTags = ({ tags }) => Array.isArray(tags) ? tags : String(tags ?? '').split(',').filter(Boolean);
+
+/**
+ * Checks whether the server is ready for the definitions to be deployed by the user making the requests.
+ * Fails if queues of a type need a disabled feature flag, the definitions are for a server version further apart than
+ * the configured maximum drift, the user is not an administrator or lacks permissions for added vhosts, or memory or
+ * disk alarms are active. Without a maximum drift, definitions for a different major version or more than one minor
+ * version apart are only warned about.
+ *
+ * @param {object} definitions - Definitions to deploy.
+ * @param {object[]} operations - Operations from `planDeploy`.
+ * @param {{ overview: object, featureFlags: object[], whoami: object, alarms: object | null }} server - Responses of the
+ * management API. Alarms are null if the server does not support health checks.
+ * @param {{ maxMinorVersionDrift?: number | null }} options
+ * @returns {string[]} Failed checks.
+ */
+export const checkPreflight = (definitions, operations, { overview, featureFlags, whoami, alarms }, { maxMinorVersionDrift = config.preflight.maxMinorVersionDrift } = {}) => {
+	const failed = [];
+
+	const flags = new Map(featureFlags.map(({ name, state }) => [name, state]));
+	const queueTypes = new Set((definitions.queues ?? []).map((queue) => queue.arguments?.['x-queue-type']));
+	for (const [queueType, flag] of Object.entries(queueTypeFeatureFlags)) {
+		// flags of the features always enabled on newer servers are no longer listed
+		if (queueTypes.has(queueType) && flags.has(flag) && flags.get(flag) !== 'enabled') {
+			failed.push(`Definitions have ${queueType} queues but the ${flag} feature flag is ${flags.get(flag)} on the server`);
+		}
+	}
+
+	if (isVersionFar(definitions.rabbit_version, overview.rabbitmq_version, maxMinorVersionDrift ?? defaultMinorVersionDrift)) {
+		const versions = `Definitions are for RabbitMQ ${definitions.rabbit_version} but the server runs ${overview.rabbitmq_version}`;
+		if (maxMinorVersionDrift === null) {
+			console.warn(`Warning: ${versions}. Set RTB_MAX_MINOR_VERSION_DRIFT to refuse deploying them.`);
+		} else {
+			failed.push(versions);
+		}
+	}
+
+	if (!getTags(whoami).includes('administrator')) {
+		failed.push(`User "${whoami.name}" lacks the administrator tag`);
+	}
+	const permittedVhosts = new Set((definitions.permissions ?? []).filter(({ user }) => user === whoami.name).map(({ vhost }) => vhost));
+	for (const { resource } of operations.filter(({ type, operation, method }) => type === 'vhosts' && operation === 'added' && method === 'PUT')) {
+		if (!permittedVhosts.has(resource.name)) {
+			failed.push(`User "${whoami.name}" lacks permissions for the added vhost "${resource.name}" in the definitions`);
+		}
+	}
+
+	if (alarms && alarms.status !== 'ok') {
+		failed.push(`Alarms are active on the server: ${alarms.reason ?? 'unknown reason'}`);
+	}
+
+	return failed;
+};
@@ -0,0 +1,132 @@
+import * as nodeAssert from 'node:assert/strict';
+
+import Index from './Index.js';
+import failureCollector from './failureCollector.js';
+
+export const queueTypes = ['classic', 'quorum', 'stream'];
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+// argument -> validator returning an error message or nothing
+const rules = {
+	'x-dead-letter-exchange': null,
+	'x-dead-letter-routing-key': null,
+	'x-dead-letter-strategy': (value) => ['at-most-once', 'at-least-once'].includes(value) || 'expected one of "at-most-once", "at-least-once"',
+	'x-delivery-limit': (value) => isPositiveInteger(value) || 'expected a positive integer',
+	'x-expires': (value) => isPositiveInteger(value) || 'expected a positive integer',
+	'x-initial-cluster-size': (value) => isPositiveInteger(value) || 'expected a positive integer',
+	'x-max-age': (value) => /^\d+[YMDhms]$/.test(value) || 'expected a number followed by one of the units Y, M, D, h, m or s',
+	'x-max-length': (value) => (Number.isInteger(value) && value >= 0) || 'expected a non-negative integer',
+	'x-max-length-bytes': (value) => (Number.isInteger(value) && value >= 0) || 'expected a non-negative integer',
+	'x-max-priority': (value) => (Number.isInteger(value) && value >= 1 && value <= 255) || 'expected an integer between 1 and 255',
+	'x-message-ttl': (value) => (Number.isInteger(value) && value >= 0) || 'expected a non-negative integer',
+	'x-overflow': null,
+	'x-queue-leader-locator': (value) => ['client-local', 'balanced'].includes(value) || 'expected one of "client-local", "balanced"',
+	'x-queue-master-locator': null,
+	'x-queue-mode': (value) => ['default', 'lazy'].includes(value) || 'expected one of "default", "lazy"',
+	'x-queue-type': null,
+	'x-queue-version': (value) => [1, 2].includes(value) || 'expected 1 or 2',
+	'x-quorum-initial-group-size': (value) => isPositiveInteger(value) || 'expected a positive integer',
+	'x-single-active-consumer': null,
+	'x-stream-max-segment-size-bytes': (value) => isPositiveInteger(value) || 'expected a positive integer',
+};
+
+export const argumentsByQueueType = {
+	classic: [
+		'x-dead-letter-exchange',
+		'x-dead-letter-routing-key',
+		'x-expires',
+		'x-max-length',
+		'x-max-length-bytes',
+		'x-max-priority',
+		'x-message-ttl',
+		'x-overflow',
+		'x-queue-master-locator',
+		'x-queue-mode',
+		'x-queue-type',
+		'x-queue-version',
+		'x-single-active-consumer',
+	],
+	quorum: [
+		'x-dead-letter-exchange',
+		'x-dead-letter-routing-key',
+		'x-dead-letter-strategy',
+		'x-delivery-limit',
+		'x-expires',
+		'x-max-length',
+		'x-max-length-bytes',
+		'x-message-ttl',
+		'x-overflow',
+		'x-queue-leader-locator',
+		'x-queue-type',
+		'x-quorum-initial-group-size',
+		'x-single-active-consumer',
+	],
+	stream: [
+		'x-initial-cluster-size',
+		'x-max-age',
+		'x-max-length-bytes',
+		'x-queue-leader-locator',
+		'x-queue-type',
+		'x-stream-max-segment-size-bytes',
+	],
+};
+
+export const overflowByQueueType = {
+	classic: ['drop-head', 'reject-publish', 'reject-publish-dlx'],
+	quorum: ['drop-head', 'reject-publish'],
+	stream: [],
+};
+
+export const getQueueType = (index, queue) => {
+	const vhost = index.vhosts.get({ name: queue.vhost });
+	return queue.arguments?.['x-queue-type']
+		?? vhost?.default_queue_type
+		?? vhost?.metadata?.default_queue_type
+		?? 'classic';
+};
+
+const assertQueueArguments = (definitions, throwOnFirstError = true) => {
+	nodeAssert.ok(definitions && typeof definitions, 'object');
+
+	const assert = failureCollector(throwOnFirstError);
+	const index = Index.fromDefinitions(definitions, false);
+
+	for (const queue of index.queues.values()) {
+		const type = getQueueType(index, queue);
+		const desc = `queue "${queue.name}" in vhost "${queue.vhost}"`;
+
+		if (!queueTypes.includes(type)) {
+			assert.fail(`Unknown queue type "${type}" for ${desc}. Expected one of ${queueTypes.join(', ')}`);
+			continue;
+		}
+
+		if (type !== 'classic') {
+			assert.ok(queue.durable === true, `${type} ${desc} has to be durable`);
+			assert.ok(queue.auto_delete !== true, `${type} ${desc} cannot be auto-deleted`);
+		}
+
+		for (const [arg, value] of Object.entries(queue.arguments ?? {})) {
+			if (!Object.hasOwn(rules, arg)) {
+				continue;
+			}
+			if (!argumentsByQueueType[type].includes(arg)) {
+				assert.fail(`Argument "${arg}" is not supported by ${type} ${desc}`);
+				continue;
+			}
+			const result = rules[arg]?.(value) ?? true;
+			assert.ok(result === true, `Invalid value ${JSON.stringify(value)} for argument "${arg}" of ${desc}: ${result}`);
+		}
+
+		const overflow = queue.arguments?.['x-overflow'];
+		if (overflow !== undefined && argumentsByQueueType[type].includes('x-overflow')) {
+			assert.ok(overflowByQueueType[type].includes(overflow), `Invalid value "${overflow}" for argument "x-overflow" of ${type} ${desc}. Expected one of ${overflowByQueueType[type].join(', ')}`);
+		}
+	}
+
+	return assert.collectFailures();
+};
+
+export const validateQueueArguments = (def) => assertQueueArguments(def, false);
+
+export default assertQueueArguments;
@@ -0,0 +1,50 @@
+import Index, { key, isIgnored } from './Index.js';
+
+const columns = [
+	['vhost', ({ queue }) => queue.vhost],
+	['queue', ({ queue }) => queue.name],
+	['operation', ({ operation }) => operation],
+	['messages', ({ stats }) => stats.messages ?? '?'],
+	['consumers', ({ stats }) => stats.consumers ?? '?'],
+	['exclusive owner', ({ stats }) => stats.exclusive ? (stats.owner_pid_details?.name ?? 'unknown connection') : '-'],
+];
+
+// Missing stats are treated as in use: the server has not reported them yet or has them disabled. Queues missing from
+// the list of queues have no stats at all.
+const isInUse = (stats) => {
+	return stats.messages !== 0 || stats.consumers !== 0 || !!stats.exclusive;
+};
+
+/**
+ * Lists queues the operations would delete or recreate while they hold messages, have consumers or an exclusive owner.
+ *
+ * @param {object[]} operations - Operations from `planDeploy`.
+ * @param {object[]} queueStats - Queues from the management API.
+ * @param {string[] | null} allowList - Queues allowed to be deleted in the ignore file format: /queues/{vhost}/{name} or /vhosts/{vhost}.
+ * @returns {{ queue: object, operation: string, stats: object }[]}
+ */
+export const findQueuesInUse = (operations, queueStats, allowList = null) => {
+	const statsByKey = new Map(queueStats.map((stats) => [key.queues(stats), stats]));
+	const allowIndex = allowList?.length ? Index.fromIgnoreList(allowList) : null;
+
+	return operations
+		.filter(({ type, method, implicit }) => type === 'queues' && method === 'DELETE' && !implicit)
+		.flatMap(({ operation, resource: queue }) => {
+			const stats = statsByKey.get(key.queues(queue)) ?? {};
+			if (!isInUse(stats) || (allowIndex && isIgnored.queues(allowIndex, queue))) {
+				return [];
+			}
+			return [{ queue, operation: operation === 'changed' ? 'recreate' : 'delete', stats }];
+		});
+};
+
+export const formatQueueTable = (rows) => {
+	const cells = [
+		columns.map(([title]) => title),
+		...rows.map((row) => columns.map(([, get]) => String(get(row)))),
+	];
+	const widths = columns.map((column, idx) => Math.max(...cells.map((line) => line[idx].length)));
+	return cells
+		.map((line) => line.map((cell, idx) => cell.padEnd(widths[idx])).join('  ').trimEnd())
+		.join('\n');
+};
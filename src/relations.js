@@ -2,6 +2,10 @@ import * as nodeAssert from 'node:assert/strict';
 
 import Index, { destinationTypeToIndex, detectResourceType } from './Index.js';
 import failureCollector from './failureCollector.js';
+import C from './config.js';
+import analyzeTopology, { formatPath } from './topology.js';
+import route from './route.js';
+import { getRoutingType } from './exchangeTypes.js';
 
 export const singular = {
 	vhosts: 'vhost',
@@ -28,6 +32,42 @@ const formatResource = (resource) => {
 	return `${singular[type]} "${resource.name}"`;
 };
 
+// The policy with the highest priority matching the resource applies. Invalid patterns never match.
+const getEffectivePolicy = (index, resource, applyTo) => {
+	let effective = null;
+	for (const policy of index.policies.values()) {
+		if (policy.vhost !== resource.vhost) {
+			continue;
+		}
+		const policyApplyTo = policy['apply-to'] ?? 'all';
+		if (policyApplyTo !== 'all' && (policyApplyTo === 'exchanges') !== (applyTo === 'exchanges')) {
+			continue;
+		}
+		try {
+			if (!new RegExp(policy.pattern).test(resource.name)) {
+				continue;
+			}
+		} catch {
+			continue;
+		}
+		if (!effective || (policy.priority ?? 0) > (effective.priority ?? 0)) {
+			effective = policy;
+		}
+	}
+	return effective;
+};
+
+// Routing key of the messages a binding routes to its destination or null if the binding matches different keys
+const boundRoutingKey = (index, binding) => {
+	const source = index.exchanges.get({ vhost: binding.vhost, name: binding.source });
+	const routingType = source && getRoutingType(source);
+	const routingKey = binding.routing_key ?? '';
+	if (routingType === 'direct' || (routingType === 'topic' && !routingKey.split('.').some((word) => word === '*' || word === '#'))) {
+		return routingKey;
+	}
+	return null;
+};
+
 const assertRelations = (definitions, throwOnFirstError = true) => {
 	nodeAssert.ok(definitions && typeof definitions, 'object');
 
@@ -67,17 +107,19 @@ const assertRelations = (definitions, throwOnFirstError = true) => {
 
 		const from = index.exchanges.get({ vhost, name: binding.source });
 		assert.ok(from, `Missing source exchange for binding: "${binding.source}" in vhost "${vhost}"`);
-		if (from) {
-			if (from.type === 'headers') {
+		const routingType = from && getRoutingType(from);
+		// nothing to check for custom exchange types with unknown routing
+		if (from && (routingType || C.customExchangeTypes[from.type] === undefined)) {
+			if (routingType === 'headers') {
 				// TODO: TEST THIS
 				assert.ok(!binding.routing_key, `Routing key is ignored for header exchanges, but set("${binding.routing_key}") for binding from "${binding.source}" to ${binding.destination_type} "${binding.destination}" in vhost "${vhost}"`);
-			} else if (from.type === 'topic') {
+			} else if (routingType === 'topic') {
 				// TODO: TEST THIS
 				assert.equal(binding.arguments?.['x-match'], undefined, `Match arguments are ignored for ${from.type} exchanges, but set for binding from "${binding.source}" to ${binding.destination_type} "${binding.destination}" in vhost "${vhost}"`);
-			} else if (from.type === 'direct') {
+			} else if (routingType === 'direct') {
 				// TODO: TEST THIS
 				assert.equal(binding.arguments?.['x-match'], undefined, `Match arguments are ignored for ${from.type} exchanges, but set for binding from "${binding.source}" to ${binding.destination_type} "${binding.destination}" in vhost "${vhost}"`);
-			} else if (from.type === 'fanout') {
+			} else if (routingType === 'fanout') {
 				// TODO: TEST THIS
 				assert.equal(binding.arguments?.['x-match'], undefined, `Match arguments are ignored for ${from.type} exchanges, but set for binding from "${binding.source}" to ${binding.destination_type} "${binding.destination}" in vhost "${vhost}"`);
 				assert.ok(!binding.routing_key, `Routing key is ignored for ${from.type} exchanges, but set("${binding.routing_key}") for binding from "${binding.source}" to ${binding.destination_type} "${binding.destination}" in vhost "${vhost}"`);
@@ -90,6 +132,58 @@ const assertRelations = (definitions, throwOnFirstError = true) => {
 		assert.ok(to, `Missing destination ${binding.destination_type} for binding: "${binding.destination}" in vhost "${vhost}"`);
 	}
 
+	// test if exchanges referred to as dead-letter or alternate exchanges exist. Empty name refers to the default exchange.
+	const assertExchangeReference = (vhost, name, usedBy) => {
+		if (typeof name !== 'string' || name === '') {
+			return true;
+		}
+		return assert.ok(index.exchanges.get({ vhost, name }), `Missing exchange "${name}" in vhost "${vhost}" used as ${usedBy}`);
+	};
+	for (const queue of index.queues.values()) {
+		assertExchangeReference(queue.vhost, queue.arguments?.['x-dead-letter-exchange'], `dead-letter exchange by queue "${queue.name}"`);
+	}
+	for (const exchange of index.exchanges.values()) {
+		assertExchangeReference(exchange.vhost, exchange.arguments?.['alternate-exchange'], `alternate exchange by exchange "${exchange.name}"`);
+	}
+	for (const policy of index.policies.values()) {
+		assertExchangeReference(policy.vhost, policy.definition?.['dead-letter-exchange'], `dead-letter exchange by policy "${policy.name}"`);
+		assertExchangeReference(policy.vhost, policy.definition?.['alternate-exchange'], `alternate exchange by policy "${policy.name}"`);
+	}
+
+	// test whether dead-lettered messages can reach any queue
+	for (const queue of index.queues.values()) {
+		const { vhost } = queue;
+		const policy = getEffectivePolicy(index, queue, 'queues');
+		const deadLetterExchange = queue.arguments?.['x-dead-letter-exchange'] ?? policy?.definition?.['dead-letter-exchange'];
+		const deadLetterRoutingKey = queue.arguments?.['x-dead-letter-routing-key'] ?? policy?.definition?.['dead-letter-routing-key'];
+		if (typeof deadLetterExchange !== 'string') {
+			continue;
+		}
+		const target = index.exchanges.get({ vhost, name: deadLetterExchange });
+		// missing exchanges are reported above and headers of the dead-lettered messages are unknown
+		if (deadLetterExchange !== '' && (!target || target.type === 'headers')) {
+			continue;
+		}
+		// without an explicit dead-letter routing key messages keep the keys they were originally published with
+		const routingKeys = typeof deadLetterRoutingKey === 'string' ?
+			[deadLetterRoutingKey] :
+			(index.bindings.byDestination(queue)?.map((binding) => boundRoutingKey(index, binding)) ?? [queue.name]);
+		// messages reaching the queue through patterns, fanout or headers bindings have keys that are not known
+		if (routingKeys.includes(null)) {
+			continue;
+		}
+		let routed;
+		try {
+			routed = routingKeys.some((routingKey) => !route(index, { vhost, exchange: deadLetterExchange, routingKey }).dropped);
+		} catch (err) {
+			console.warn(`Warning: Could not simulate dead-lettering from queue "${queue.name}" in vhost "${vhost}": ${err.message}`);
+			continue;
+		}
+		if (!routed) {
+			console.warn(`Warning: Messages dead-lettered from queue "${queue.name}" in vhost "${vhost}" to exchange "${deadLetterExchange}" with routing key(s) ${routingKeys.map((k) => `"${k}"`).join(', ')} are dropped`);
+		}
+	}
+
 	// TODO: test this
 	// test if used vhosts exist
 	for (const [vhost, res] of index.resources.byVhost.entries()) {
@@ -111,6 +205,20 @@ const assertRelations = (definitions, throwOnFirstError = true) => {
 		assert.ok(index.users.get({ name: user }), `Missing user "${user}" that has permissions set for vhost "${vhost}"`);
 	}
 
+	const topology = analyzeTopology(index);
+	for (const path of topology.cycles) {
+		console.warn(`Warning: Exchange-to-exchange binding cycle in vhost "${path[0].vhost}": ${formatPath(path)}`);
+	}
+	for (const path of topology.unreachableQueues) {
+		console.warn(`Warning: Queue "${path.at(-1).name}" in vhost "${path[0].vhost}" is not reachable from any non-internal exchange: ${formatPath(path)}`);
+	}
+	for (const path of topology.unpublishedInternal) {
+		console.warn(`Warning: Internal exchange "${path.at(-1).name}" in vhost "${path[0].vhost}" is not reachable from any non-internal exchange: ${formatPath(path)}`);
+	}
+	for (const path of topology.deadEnds) {
+		console.warn(`Warning: Messages to exchange "${path[0].name}" in vhost "${path[0].vhost}" cannot reach any queue: ${formatPath(path)}`);
+	}
+
 	return [...indexingFailures, ...assert.collectFailures()];
 };
 
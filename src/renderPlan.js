@@ -0,0 +1,162 @@
+import { key } from './Index.js';
+import { formatChange } from './diff.js';
+
+const describe = {
+	vhosts: (r) => `vhost "${r.name}"`,
+	users: (r) => `user "${r.name}"`,
+	queues: (r) => `queue "${r.name}"`,
+	exchanges: (r) => `exchange "${r.name}" (${r.type})`,
+	bindings: (r) => {
+		const args = key.args(r.arguments);
+		return `binding exchange "${r.source}" -> ${r.destination_type} "${r.destination}" (routing key "${r.routing_key ?? ''}"${args ? `, arguments ${args}` : ''})`;
+	},
+	permissions: (r) => `permissions for user "${r.user}"`,
+	topic_permissions: (r) => `topic permissions for user "${r.user}" on exchange "${r.exchange}"`,
+	policies: (r) => `policy "${r.name}"`,
+	parameters: (r) => `parameter "${r.name}" of component "${r.component}"`,
+	global_parameters: (r) => `global parameter "${r.name}"`,
+};
+
+const getVhost = (type, resource) => {
+	if (type === 'vhosts') {
+		return resource.name;
+	}
+	return resource.vhost ?? null;
+};
+
+const getMarker = ({ operation, override }) => {
+	if (operation === 'added') {
+		return '+';
+	}
+	if (operation === 'deleted') {
+		return '-';
+	}
+	if (operation === 'changed' && !override) {
+		return '~';
+	}
+	return '-/+';
+};
+
+const getNote = ({ operation, type, implicit }) => {
+	if (implicit && type === 'topic_permissions') {
+		return ' (deleted with the other topic permissions of the user)';
+	}
+	if (implicit) {
+		return ' (deleted with the vhost)';
+	}
+	if (operation === 'implicitlyAffected' && type === 'topic_permissions') {
+		return ' (recreated after deleting the topic permissions of the user)';
+	}
+	if (operation === 'implicitlyAffected') {
+		return ' (recreated with the replaced exchange or queue)';
+	}
+	return '';
+};
+
+// One entry per resource. Replacing a resource is done in two operations, but shown as one.
+export const toEntries = (operations) => {
+	const entries = new Map();
+	for (const op of operations) {
+		const id = `${op.type}:${key[op.type](op.resource)}`;
+		if (!entries.has(id)) {
+			entries.set(id, {
+				id,
+				type: op.type,
+				operation: op.operation,
+				implicit: !!op.implicit,
+				resource: op.resource,
+				vhost: getVhost(op.type, op.resource),
+				marker: getMarker(op),
+				line: `${describe[op.type](op.resource)}${getNote(op)}`,
+				changes: (op.changes ?? []).map(formatChange),
+			});
+		}
+	}
+	return [...entries.values()];
+};
+
+const groupByVhost = (entries) => {
+	const groups = new Map();
+	for (const entry of entries) {
+		if (!groups.has(entry.vhost)) {
+			groups.set(entry.vhost, []);
+		}
+		groups.get(entry.vhost).push(entry);
+	}
+	return groups;
+};
+
+export const summarize = ({ operations, ignored = [] }) => {
+	const entries = toEntries(operations);
+	const count = (marker) => entries.filter((entry) => entry.marker === marker).length;
+	const summary = `Plan: ${count('+')} to add, ${count('~')} to change, ${count('-/+')} to replace, ${count('-')} to destroy.`;
+	if (ignored.length) {
+		return `${summary} ${ignored.length} ignored.`;
+	}
+	return summary;
+};
+
+const groupTitle = (vhost) => vhost === null ? 'global' : `vhost "${vhost}"`;
+
+// markdown diff blocks only highlight lines starting with the marker
+const renderLines = (entries, alignMarker = 'padStart') => {
+	return entries.flatMap(({ marker, line, changes }) => [
+		`${marker[alignMarker](3)} ${line}`,
+		...changes.map((change) => `      ${change}`),
+	]);
+};
+
+const render = {
+	text: (groups, ignoredGroups, summary) => {
+		const out = [];
+		for (const [vhost, entries] of groups) {
+			out.push(`${groupTitle(vhost)}:`, ...renderLines(entries), '');
+		}
+		if (ignoredGroups.size) {
+			out.push('Ignored changes, not deployed:');
+			for (const [vhost, entries] of ignoredGroups) {
+				out.push(`${groupTitle(vhost)}:`, ...renderLines(entries), '');
+			}
+		}
+		out.push(summary);
+		return out.join('\n');
+	},
+	markdown: (groups, ignoredGroups, summary) => {
+		const out = [];
+		const block = (entries) => ['```diff', ...renderLines(entries, 'padEnd'), '```', ''];
+		for (const [vhost, entries] of groups) {
+			out.push(`#### ${groupTitle(vhost)}`, '', ...block(entries));
+		}
+		if (ignoredGroups.size) {
+			out.push('<details><summary>Ignored changes, not deployed</summary>', '');
+			for (const [vhost, entries] of ignoredGroups) {
+				out.push(`#### ${groupTitle(vhost)}`, '', ...block(entries));
+			}
+			out.push('</details>', '');
+		}
+		out.push(`**${summary}**`);
+		return out.join('\n');
+	},
+};
+
+/**
+ * Renders a deploy plan with one line per resource grouped by vhost in the order of deployment.
+ * Markers: `+` added, `-` deleted, `~` changed in place, `-/+` deleted and recreated.
+ *
+ * @param {{ operations: object[], ignored?: object[] }} plan - Result of `planDeploy`.
+ * @param {{ format?: 'text' | 'markdown' }} options
+ * @returns {string}
+ */
+export const renderPlan = (plan, { format = 'text' } = {}) => {
+	if (typeof render[format] !== 'function') {
+		throw new Error(`Unknown plan format "${format}". Use one of ${Object.keys(render).join(', ')}`);
+	}
+	const groups = groupByVhost(toEntries(plan.operations));
+	const ignoredGroups = groupByVhost(toEntries(plan.ignored ?? []));
+	if (!groups.size && !ignoredGroups.size) {
+		return 'No changes.';
+	}
+	return render[format](groups, ignoredGroups, summarize(plan));
+};
+
+export default renderPlan;
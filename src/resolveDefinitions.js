@@ -6,13 +6,20 @@ import {
 } from './utils.js';
 import RabbitClient from './RabbitClient.js';
 
-export const resolveDefinitions = async (input) => {
+/**
+ * Reads definitions from stdin(`-`), a file or a management API.
+ *
+ * @param {string} input
+ * @param {{ connection?: object }} options - Connection options of `RabbitClient` for management APIs.
+ * @returns {Promise<object>}
+ */
+export const resolveDefinitions = async (input, { connection } = {}) => {
 	if (input === '-') {
 		return json(process.stdin);
 	}
 	const location = pathResolve(input);
 	if (location instanceof URL) {
-		const client = new RabbitClient(location);
+		const client = new RabbitClient(location, { connection });
 		return client.requestDefinitions();
 	}
 	return JSON.parse(await readFile(location, { encoding: 'utf8' }));
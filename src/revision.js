@@ -0,0 +1,51 @@
+import { createHash } from 'node:crypto';
+
+import { readJSONSync } from './utils.js';
+
+// Global parameter holding the record of the last deployment on the server without a scope. Scoped deployments are
+// recorded in a parameter per scope to not overwrite the records of other scopes.
+export const revisionParameter = 'rabbit-toolbelt-revision';
+
+export const isRevisionParameter = (name) => name === revisionParameter || name.startsWith(`${revisionParameter}-`);
+
+/**
+ * @param {{ vhosts: string[], only: string[], except: string[] } | null} scope - Result of `createScope`.
+ * @returns {string} Name of the global parameter holding the record of the last deployment in the scope.
+ */
+export const getRevisionParameter = (scope) => {
+	if (!scope) {
+		return revisionParameter;
+	}
+	const { vhosts, only, except } = scope;
+	const hash = createHash('sha256').update(JSON.stringify([vhosts, only, except].map((list) => [...list].sort()))).digest('hex');
+	return `${revisionParameter}-${hash.slice(0, 16)}`;
+};
+
+const { version } = readJSONSync(new URL('../package.json', import.meta.url));
+
+/**
+ * @param {import('./RabbitClient.js').default} client
+ * @param {object | null} scope - Scope of the deployment, see `getRevisionParameter`.
+ * @returns {Promise<{ hash: string, definitionsHash: string, scope: object | null, ignoreList: string[], revision: string | null, version: string, deployedAt: string } | null>}
+ * The record of the last deployment in the scope or null if nothing has been recorded.
+ */
+export const readRevision = async (client, scope = null) => {
+	return (await client.requestGlobalParameter(getRevisionParameter(scope)))?.value ?? null;
+};
+
+/**
+ * Records a deployment on the server with the version of the toolbelt and the time, replacing the record of the last
+ * deployment in the same scope.
+ *
+ * @param {import('./RabbitClient.js').default} client
+ * @param {{ hash: string, definitionsHash: string, scope?: object | null, ignoreList?: string[] | null, revision?: string | null }} deployment -
+ * Fingerprints of the definitions on the server after the deployment and of the deployed definitions, the scope and
+ * the ignore list they cover and a revision, e.g. a git commit, of the deployed definitions.
+ * @returns {Promise<object>} The record.
+ */
+export const recordRevision = async (client, { hash, definitionsHash, scope = null, ignoreList = null, revision = null }) => {
+	const record = { hash, definitionsHash, scope, ignoreList: ignoreList ?? [], revision, version, deployedAt: new Date().toISOString() };
+	const name = getRevisionParameter(scope);
+	await client.request('PUT', `/api/global-parameters/${name}`, { name, value: record });
+	return record;
+};
@@ -0,0 +1,161 @@
+import * as nodeAssert from 'node:assert/strict';
+import { isDeepStrictEqual } from 'node:util';
+
+import Index from './Index.js';
+import { getRoutingType } from './exchangeTypes.js';
+
+// Matches a routing key against a topic binding key: "*" substitutes exactly one word, "#" zero or more words.
+export const matchTopic = (bindingKey, routingKey) => {
+	const pattern = (bindingKey ?? '').split('.');
+	const words = (routingKey ?? '').split('.');
+
+	const match = (p, w) => {
+		if (p === pattern.length) {
+			return w === words.length;
+		}
+		if (pattern[p] === '#') {
+			for (let skip = w; skip <= words.length; skip++) {
+				if (match(p + 1, skip)) {
+					return true;
+				}
+			}
+			return false;
+		}
+		if (w === words.length) {
+			return false;
+		}
+		if (pattern[p] === '*' || pattern[p] === words[w]) {
+			return match(p + 1, w + 1);
+		}
+		return false;
+	};
+
+	return match(0, 0);
+};
+
+export const matchHeaders = (bindingArgs, headers) => {
+	const { 'x-match': xMatch = 'all', ...args } = bindingArgs ?? {};
+	const withX = xMatch.endsWith('-with-x');
+	const expected = Object.entries(args).filter(([name]) => withX || !name.startsWith('x-'));
+	const isMatch = ([name, value]) => {
+		return Object.hasOwn(headers ?? {}, name) && isDeepStrictEqual(headers[name], value);
+	};
+
+	if (xMatch.startsWith('any')) {
+		return expected.some(isMatch);
+	}
+	return expected.every(isMatch);
+};
+
+const matchBinding = {
+	direct: (binding, { routingKey }) => (binding.routing_key ?? '') === routingKey,
+	fanout: () => true,
+	topic: (binding, { routingKey }) => matchTopic(binding.routing_key, routingKey),
+	headers: (binding, { headers }) => matchHeaders(binding.arguments, headers),
+};
+
+// Exchanges every vhost has without them being in the definitions. amq.rabbitmq.trace is internal and left out.
+const builtinExchangeTypes = {
+	'amq.direct': 'direct',
+	'amq.fanout': 'fanout',
+	'amq.topic': 'topic',
+	'amq.headers': 'headers',
+	'amq.match': 'headers',
+};
+
+const getExchange = (index, vhost, name) => {
+	const ex = index.exchanges.get({ vhost, name });
+	if (ex || !Object.hasOwn(builtinExchangeTypes, name)) {
+		return ex ?? null;
+	}
+	return { name, vhost, type: builtinExchangeTypes[name], durable: true, auto_delete: false, internal: false, arguments: {} };
+};
+
+// Bindings are indexed by their source only if the source exchange is in the definitions
+const getBindingsFrom = (index, ex) => {
+	if (index.exchanges.get(ex)) {
+		return index.bindings.bySource(ex) ?? [];
+	}
+	return [...index.bindings.values()].filter(({ vhost, source }) => vhost === ex.vhost && source === ex.name);
+};
+
+/**
+ * Simulates publishing a message to an exchange. Built-in exchanges, including the default exchange routing to the
+ * queue named by the routing key, are routed through without being in the definitions.
+ * Fails if an exchange is missing or its type cannot be routed through.
+ *
+ * @param {Index|object} definitions - Built Index or definitions object.
+ * @param {{ vhost: string, exchange: string, routingKey?: string, headers?: object }} message
+ * @returns {{ queues: { name: string, vhost: string, path: string[] }[], dropped: boolean, unroutable: string[] }}
+ */
+export const route = (definitions, { vhost, exchange, routingKey = '', headers = {} }) => {
+	nodeAssert.equal(typeof vhost, 'string', 'vhost required');
+	nodeAssert.equal(typeof exchange, 'string', 'exchange required');
+	const index = definitions instanceof Index ? definitions : Index.fromDefinitions(definitions, false);
+	const message = { routingKey, headers };
+
+	const queues = new Map();
+	// exchanges that matched nothing themselves and had no alternate exchange to fall back to
+	const unroutable = [];
+	const visited = new Set();
+
+	const deliverToQueue = (name, path) => {
+		if (!queues.has(name)) {
+			queues.set(name, { vhost, name, path });
+		}
+	};
+
+	const routeThrough = (exchangeName, path) => {
+		if (visited.has(exchangeName)) {
+			return;
+		}
+		visited.add(exchangeName);
+
+		// default exchange routes directly to the queue named by the routing key
+		if (exchangeName === '') {
+			if (index.queues.get({ vhost, name: routingKey })) {
+				deliverToQueue(routingKey, path);
+			} else {
+				unroutable.push(exchangeName);
+			}
+			return;
+		}
+
+		const ex = getExchange(index, vhost, exchangeName);
+		if (!ex) {
+			throw new Error(`Missing exchange "${exchangeName}" in vhost "${vhost}"`);
+		}
+		const matcher = matchBinding[getRoutingType(ex)];
+		if (!matcher) {
+			throw new Error(`Routing through exchanges of type "${ex.type}" is not supported`);
+		}
+
+		const matched = getBindingsFrom(index, ex).filter((binding) => matcher(binding, message));
+		if (!matched.length) {
+			const alternate = ex.arguments?.['alternate-exchange'];
+			if (alternate && getExchange(index, vhost, alternate)) {
+				return routeThrough(alternate, [...path, alternate]);
+			}
+			unroutable.push(exchangeName);
+			return;
+		}
+
+		for (const binding of matched) {
+			if (binding.destination_type === 'queue') {
+				deliverToQueue(binding.destination, path);
+			} else {
+				routeThrough(binding.destination, [...path, binding.destination]);
+			}
+		}
+	};
+
+	routeThrough(exchange, [exchange]);
+
+	return {
+		queues: [...queues.values()],
+		dropped: queues.size === 0,
+		unroutable,
+	};
+};
+
+export default route;
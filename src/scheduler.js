@@ -0,0 +1,117 @@
+export const sleep = (ms) => {
+	return new Promise((res) => setTimeout(res, ms));
+};
+
+const transientErrorCodes = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN'];
+
+// Server errors and failed connections are worth retrying, client errors are not.
+export const isTransientError = (err) => {
+	if (typeof err?.status === 'number') {
+		return err.status >= 500 || err.status === 429;
+	}
+	const code = err?.code ?? err?.cause?.code;
+	return transientErrorCodes.includes(code);
+};
+
+/**
+ * Calls `fn` until it succeeds, retrying errors `isRetryable` accepts with exponential backoff.
+ *
+ * @param {(attempt: number) => Promise<any>} fn
+ * @param {{ retries?: number, retryDelay?: number, isRetryable?: (err: Error) => boolean, onRetry?: (err: Error, delay: number) => void }} options
+ */
+export const withRetries = async (fn, { retries = 0, retryDelay = 0, isRetryable = isTransientError, onRetry = () => {} } = {}) => {
+	for (let attempt = 0; ; attempt++) {
+		try {
+			return await fn(attempt);
+		} catch (err) {
+			if (attempt >= retries || !isRetryable(err)) {
+				throw err;
+			}
+			const delay = retryDelay * 2 ** attempt;
+			onRetry(err, delay);
+			await sleep(delay);
+		}
+	}
+};
+
+/**
+ * Runs tasks with at most `concurrency` of them at once. A task starts after all of its dependencies have succeeded.
+ * Tasks depending on a failed task, directly or transitively, are skipped. Ready tasks start in the order of their index.
+ *
+ * @param {number} count - Number of tasks.
+ * @param {number[][]} dependencies - Indices of the tasks each task depends on.
+ * @param {(idx: number) => Promise<any>} worker
+ * @param {{ concurrency?: number }} options
+ * @returns {Promise<({ status: 'fulfilled', value: any } | { status: 'rejected', reason: Error } | { status: 'skipped', reason: Error })[]>}
+ */
+export const runGraph = (count, dependencies, worker, { concurrency = 1 } = {}) => {
+	const results = new Array(count);
+	const dependents = Array.from({ length: count }, () => []);
+	const waitingFor = dependencies.map((deps) => new Set(deps).size);
+	dependencies.forEach((deps, idx) => {
+		for (const dep of new Set(deps)) {
+			dependents[dep].push(idx);
+		}
+	});
+
+	const ready = [];
+	const enqueue = (idx) => {
+		const at = ready.findIndex((other) => other > idx);
+		ready.splice(~at ? at : ready.length, 0, idx);
+	};
+	waitingFor.forEach((n, idx) => n === 0 && enqueue(idx));
+
+	const skip = (idx, reason) => {
+		const stack = [idx];
+		while (stack.length) {
+			const next = stack.pop();
+			if (!results[next]) {
+				results[next] = { status: 'skipped', reason };
+				stack.push(...dependents[next]);
+			}
+		}
+	};
+
+	return new Promise((resolve) => {
+		let running = 0;
+		const next = () => {
+			while (running < concurrency && ready.length) {
+				const idx = ready.shift();
+				if (results[idx]) {
+					continue;
+				}
+				running++;
+				results[idx] = { status: 'running' };
+				Promise.resolve()
+					.then(() => worker(idx))
+					.then((value) => {
+						results[idx] = { status: 'fulfilled', value };
+						for (const dependent of dependents[idx]) {
+							if (--waitingFor[dependent] === 0) {
+								enqueue(dependent);
+							}
+						}
+					}, (reason) => {
+						results[idx] = { status: 'rejected', reason };
+						for (const dependent of dependents[idx]) {
+							skip(dependent, reason);
+						}
+					})
+					.finally(() => {
+						running--;
+						next();
+					});
+			}
+			if (running === 0) {
+				// anything left waits for a dependency cycle
+				for (let idx = 0; idx < count; idx++) {
+					if (!results[idx]) {
+						results[idx] = { status: 'skipped', reason: new Error('Dependency cycle') };
+					}
+				}
+				resolve(results);
+			}
+		};
+		next();
+	});
+};
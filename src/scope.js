@@ -0,0 +1,145 @@
+export const resourceTypes = ['vhosts', 'users', 'permissions', 'topic_permissions', 'parameters', 'global_parameters', 'policies', 'queues', 'exchanges', 'bindings'];
+
+const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// `*` matches any characters and `?` a single character
+const globToRegExp = (glob) => {
+	return new RegExp(`^${glob.split('*').map((part) => part.split('?').map(escapeRegExp).join('.')).join('.*')}$`);
+};
+
+const assertTypes = (types) => {
+	for (const type of types) {
+		if (!resourceTypes.includes(type)) {
+			throw new Error(`Invalid resource type "${type}". Use one of ${resourceTypes.join(', ')}`);
+		}
+	}
+};
+
+/**
+ * Validates a scope and leaves out empty filters.
+ *
+ * @param {{ vhosts?: string[], only?: string[], except?: string[] }} scope - Vhost globs, where a leading `!` leaves
+ * the matching vhosts out, and resource types to include or leave out.
+ * @returns {{ vhosts: string[], only: string[], except: string[] } | null} Null if nothing is filtered.
+ */
+export const createScope = ({ vhosts = [], only = [], except = [] } = {}) => {
+	assertTypes(only);
+	assertTypes(except);
+	if (!vhosts.length && !only.length && !except.length) {
+		return null;
+	}
+	return { vhosts, only, except };
+};
+
+const getVhost = (type, resource) => type === 'vhosts' ? resource.name : resource.vhost;
+
+/**
+ * Makes a filter for resources in a scope. Users and global parameters do not belong to a vhost and are left out
+ * with vhost globs unless `only` includes their type.
+ *
+ * @param {{ vhosts: string[], only: string[], except: string[] } | null} scope - Result of `createScope`.
+ * @returns {(type: string, resource: object) => boolean}
+ */
+export const inScope = (scope) => {
+	if (!scope) {
+		return () => true;
+	}
+	const include = scope.vhosts.filter((glob) => !glob.startsWith('!')).map(globToRegExp);
+	const exclude = scope.vhosts.filter((glob) => glob.startsWith('!')).map((glob) => globToRegExp(glob.slice(1)));
+	return (type, resource) => {
+		if ((scope.only.length && !scope.only.includes(type)) || scope.except.includes(type)) {
+			return false;
+		}
+		const vhost = getVhost(type, resource);
+		if (typeof vhost !== 'string') {
+			return !scope.vhosts.length || scope.only.includes(type);
+		}
+		return (!include.length || include.some((re) => re.test(vhost))) && !exclude.some((re) => re.test(vhost));
+	};
+};
+
+/**
+ * Leaves out resources outside of a scope from definitions.
+ *
+ * @param {object} definitions
+ * @param {{ vhosts: string[], only: string[], except: string[] } | null} scope - Result of `createScope`.
+ * @returns {object} New definitions or the same definitions if there is no scope.
+ */
+export const scopeDefinitions = (definitions, scope) => {
+	if (!scope) {
+		return definitions;
+	}
+	const isInScope = inScope(scope);
+	const scoped = { ...definitions };
+	for (const type of resourceTypes) {
+		if (Array.isArray(definitions[type])) {
+			scoped[type] = definitions[type].filter((resource) => isInScope(type, resource));
+		}
+	}
+	return scoped;
+};
+
+const referenceKey = (type, { vhost, name }) => JSON.stringify([type, type === 'vhosts' || type === 'users' ? null : vhost, name]);
+
+// Vhosts, users, exchanges and queues a resource refers to. Empty exchange names refer to the default exchange.
+const getReferences = (type, resource) => {
+	const vhost = getVhost(type, resource);
+	const exchange = (name) => typeof name === 'string' && name !== '' ? [['exchanges', { vhost, name }]] : [];
+	const references = typeof vhost === 'string' && type !== 'vhosts' ? [['vhosts', { name: vhost }]] : [];
+	if (type === 'permissions' || type === 'topic_permissions') {
+		references.push(['users', { name: resource.user }]);
+	}
+	if (type === 'topic_permissions') {
+		references.push(...exchange(resource.exchange));
+	}
+	if (type === 'bindings') {
+		references.push(...exchange(resource.source), [resource.destination_type === 'exchange' ? 'exchanges' : 'queues', { vhost, name: resource.destination }]);
+	}
+	if (type === 'queues') {
+		references.push(...exchange(resource.arguments?.['x-dead-letter-exchange']));
+	}
+	if (type === 'exchanges') {
+		references.push(...exchange(resource.arguments?.['alternate-exchange']));
+	}
+	if (type === 'policies') {
+		references.push(...exchange(resource.definition?.['dead-letter-exchange']), ...exchange(resource.definition?.['alternate-exchange']));
+	}
+	return references;
+};
+
+/**
+ * Adds the vhosts, users, exchanges and queues that resources in scoped definitions refer to, also indirectly, to
+ * validate a part of the definitions without reporting the resources left out as missing.
+ *
+ * @param {object} definitions - Definitions the scoped definitions were made of.
+ * @param {object} scoped - Result of `scopeDefinitions`.
+ * @returns {object} New definitions or the scoped definitions if they are the same as the definitions.
+ */
+export const withReferences = (definitions, scoped) => {
+	if (scoped === definitions) {
+		return scoped;
+	}
+	const byKey = new Map();
+	for (const type of ['vhosts', 'users', 'exchanges', 'queues']) {
+		for (const resource of definitions[type] ?? []) {
+			byKey.set(referenceKey(type, resource), resource);
+		}
+	}
+	const result = { ...scoped };
+	const kept = new Set(['vhosts', 'users', 'exchanges', 'queues'].flatMap((type) => (scoped[type] ?? []).map((resource) => referenceKey(type, resource))));
+	const pending = resourceTypes.flatMap((type) => (scoped[type] ?? []).map((resource) => [type, resource]));
+	while (pending.length) {
+		const [type, resource] = pending.pop();
+		for (const [referenceType, reference] of getReferences(type, resource)) {
+			const key = referenceKey(referenceType, reference);
+			const referenced = byKey.get(key);
+			if (kept.has(key) || !referenced) {
+				continue;
+			}
+			kept.add(key);
+			result[referenceType] = [...(result[referenceType] ?? []), referenced];
+			pending.push([referenceType, referenced]);
+		}
+	}
+	return result;
+};
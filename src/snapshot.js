@@ -0,0 +1,47 @@
+import * as nodeAssert from 'node:assert/strict';
+import { existsSync, mkdirSync, writeFileSync } from 'node:fs';
+import path from 'node:path';
+
+import { readJSONSync } from './utils.js';
+
+const files = {
+	meta: 'snapshot.json',
+	definitions: 'definitions.json',
+};
+
+// definitions include password hashes of the users
+const writeFile = (snapshotPath, file, content) => {
+	writeFileSync(path.join(snapshotPath, file), JSON.stringify(content, null, 2), { mode: 0o600 });
+};
+
+/**
+ * Saves the definitions on a server to a new directory named after the current time. Only the owner can read the
+ * snapshot.
+ *
+ * @param {import('./RabbitClient.js').default} client
+ * @param {string} dir - Directory to make the snapshot directory in.
+ * @returns {Promise<string>} Path to the snapshot.
+ */
+export const takeSnapshot = async (client, dir) => {
+	const definitions = await client.requestDefinitions();
+	const createdAt = new Date().toISOString();
+	const snapshotPath = path.join(dir, createdAt.replace(/:/g, '-'));
+	mkdirSync(dir, { recursive: true, mode: 0o700 });
+	mkdirSync(snapshotPath, { mode: 0o700 });
+	writeFile(snapshotPath, files.definitions, definitions);
+	// written last to mark the snapshot complete
+	writeFile(snapshotPath, files.meta, { server: client.baseUrl, createdAt });
+	return snapshotPath;
+};
+
+/**
+ * @param {string} snapshotPath - Directory made by `takeSnapshot`.
+ * @returns {{ server: string, createdAt: string, definitions: object }}
+ */
+export const readSnapshotSync = (snapshotPath) => {
+	nodeAssert.ok(existsSync(path.join(snapshotPath, files.meta)), `No complete snapshot at ${snapshotPath}`);
+	return {
+		...readJSONSync(path.join(snapshotPath, files.meta)),
+		definitions: readJSONSync(path.join(snapshotPath, files.definitions)),
+	};
+};
@@ -15,6 +15,7 @@ import {
 } from 'superstruct';
 
 import C from './config.js';
+import { exchangeTypes } from './exchangeTypes.js';
 import { readJSONSync } from './utils.js';
 
 const printableAsciiRegex = /^[a-z0-9": ,{}()\n[\]_./+\-*#%]+$/i;
@@ -32,6 +33,14 @@ const normalString = () => refine(string(), 'normal string', (value) => {
 	}).join('');
 	return `A string with unexpected characters: "${normalized}" printed as "${value}"`;
 });
+const regexString = () => refine(string(), 'regular expression', (value) => {
+	try {
+		new RegExp(value);
+		return true;
+	} catch (err) {
+		return `Invalid regular expression "${value}": ${err.message}`;
+	}
+});
 const genPatternedValidator = (pattern, allowList = []) => {
 	if (!(pattern instanceof RegExp)) {
 		return normalString;
@@ -44,6 +53,18 @@ const genPatternedValidator = (pattern, allowList = []) => {
 	});
 };
 
+const argumentStructures = {
+	string,
+	number,
+	boolean,
+};
+// schemas for custom arguments declared in configuration
+const customArguments = (schemas) => {
+	return Object.fromEntries(schemas.map(({ name, type, values }) => {
+		return [name, optional(values ? enums(values) : argumentStructures[type]())];
+	}));
+};
+
 // root validator config. Extracted for partial validation.
 const rootStructure = {
 	rabbit_version: optional(string()),
@@ -61,24 +82,26 @@ const rootStructure = {
 		name: genPatternedValidator(C.pattern.vhosts, C.nameAllowList.vhosts)(),
 		description: optional(string()),
 		tags: optional(array(string())),
+		default_queue_type: optional(string()),
 		metadata: optional(object({
 			description: string(),
 			tags: array(string()),
+			default_queue_type: optional(string()),
 		})),
 	})),
 	permissions: array(object({
 		user: normalString(),
 		vhost: normalString(),
-		configure: string(),
-		write: string(),
-		read: string(),
+		configure: regexString(),
+		write: regexString(),
+		read: regexString(),
 	})),
 	topic_permissions: array(object({
 		user: normalString(),
 		vhost: normalString(),
 		exchange: normalString(),
-		write: string(),
-		read: string(),
+		write: regexString(),
+		read: regexString(),
 	})),
 	global_parameters: optional(array(object({
 		name: normalString(),
@@ -106,29 +129,38 @@ const rootStructure = {
 		arguments: optional(object({
 			'x-dead-letter-exchange': optional(string()),
 			'x-dead-letter-routing-key': optional(string()),
+			'x-dead-letter-strategy': optional(string()),
+			'x-delivery-limit': optional(number()),
 			'x-expires': optional(number()),
+			'x-initial-cluster-size': optional(number()),
+			'x-max-age': optional(string()),
 			'x-max-length':	optional(number()),
 			'x-max-length-bytes':	optional(number()),
 			'x-max-priority':	optional(number()),
 			'x-message-ttl': optional(number()),
 			'x-overflow':	optional(string()),
+			'x-queue-leader-locator': optional(string()),
 			'x-queue-master-locator':	optional(string()),
 			'x-queue-mode':	optional(string()),
 			'x-queue-type': optional(string()),
 			'x-queue-version':	optional(number()),
+			'x-quorum-initial-group-size': optional(number()),
 			'x-single-active-consumer':	optional(boolean()),
+			'x-stream-max-segment-size-bytes': optional(number()),
+			...customArguments(C.customArguments.queues),
 		})),
 	})),
 	exchanges: array(object(
 		{
 			name: genPatternedValidator(C.pattern.exchanges, C.nameAllowList.exchanges)(),
 			vhost: normalString(),
-			type: enums(['topic', 'headers', 'direct', 'fanout']),
+			type: enums(exchangeTypes),
 			durable: boolean(),
 			auto_delete: boolean(),
 			internal: optional(boolean()),
 			arguments: optional(object({
 				'alternate-exchange': optional(string()),
+				...customArguments(C.customArguments.exchanges),
 			})),
 		},
 	)),
@@ -0,0 +1,172 @@
+import * as nodeAssert from 'node:assert/strict';
+
+import Index, { destinationTypeToIndex, key } from './Index.js';
+
+export const formatPath = (path) => {
+	return path.map(({ type, name }) => `${type} "${name}"`).join(' -> ');
+};
+
+// Graph over exchanges and queues with edges from bindings and alternate exchanges.
+const buildGraph = (index) => {
+	const nodes = new Map();
+	const out = new Map();
+	const into = new Map();
+
+	const addNode = (type, resource) => {
+		const id = key[destinationTypeToIndex[type]](resource);
+		const node = { id, type, resource };
+		nodes.set(id, node);
+		out.set(id, []);
+		into.set(id, []);
+		return node;
+	};
+	const getNode = (type, vhost, name) => {
+		return nodes.get(key[destinationTypeToIndex[type]]({ vhost, name }));
+	};
+	const addEdge = (from, to, viaAlternate) => {
+		out.get(from.id).push({ node: to, viaAlternate });
+		into.get(to.id).push({ node: from, viaAlternate });
+	};
+
+	for (const exchange of index.exchanges.values()) {
+		addNode('exchange', exchange);
+	}
+	for (const queue of index.queues.values()) {
+		addNode('queue', queue);
+	}
+
+	for (const exchange of index.exchanges.values()) {
+		const { vhost } = exchange;
+		const from = getNode('exchange', vhost, exchange.name);
+		for (const binding of index.bindings.bySource(exchange) ?? []) {
+			const to = getNode(binding.destination_type, vhost, binding.destination);
+			if (to) {
+				addEdge(from, to, false);
+			}
+		}
+		const alternateName = exchange.arguments?.['alternate-exchange'];
+		const alternate = alternateName && getNode('exchange', vhost, alternateName);
+		if (alternate) {
+			addEdge(from, alternate, true);
+		}
+	}
+
+	return {
+		nodes: [...nodes.values()],
+		out: (node) => out.get(node.id),
+		in: (node) => into.get(node.id),
+	};
+};
+
+const toPath = (nodes) => {
+	return nodes.map(({ type, resource: { name, vhost } }) => ({ type, name, vhost }));
+};
+
+// Enumerates every exchange-to-exchange cycle, also ones overlapping others. Each cycle is reported once, starting
+// from its exchange listed first, by only following exchanges listed after the start of the cycle.
+const findCycles = (graph) => {
+	const exchanges = graph.nodes.filter(({ type }) => type === 'exchange');
+	const order = new Map(exchanges.map((node, idx) => [node, idx]));
+	const cycles = [];
+	// several bindings between the same exchanges form the same cycle
+	const seen = new Set();
+
+	for (const [start, startIdx] of order) {
+		const visit = (stack) => {
+			for (const { node: next, viaAlternate } of graph.out(stack.at(-1))) {
+				if (viaAlternate || next.type !== 'exchange' || order.get(next) < startIdx) {
+					continue;
+				}
+				if (next === start) {
+					const cycle = [...stack, start];
+					const id = cycle.map(({ id }) => id).join();
+					if (!seen.has(id)) {
+						seen.add(id);
+						cycles.push(toPath(cycle));
+					}
+				} else if (!stack.includes(next)) {
+					visit([...stack, next]);
+				}
+			}
+		};
+		visit([start]);
+	}
+
+	return cycles;
+};
+
+// BFS keeping track of the path each node was first reached by.
+const walk = (starts, next) => {
+	const paths = new Map();
+	const queue = [];
+	for (const start of starts) {
+		paths.set(start, [start]);
+		queue.push(start);
+	}
+	while (queue.length) {
+		const current = queue.shift();
+		for (const { node } of next(current)) {
+			if (!paths.has(node)) {
+				paths.set(node, [...paths.get(current), node]);
+				queue.push(node);
+			}
+		}
+	}
+	return paths;
+};
+
+// Follows the first incoming edge for as long as possible to find where a chain starts.
+const walkBack = (graph, node) => {
+	const path = [node];
+	for (;;) {
+		const [edge] = graph.in(path[0]);
+		if (!edge || path.includes(edge.node)) {
+			return path;
+		}
+		path.unshift(edge.node);
+	}
+};
+
+/**
+ * Analyses the graph formed by exchanges, queues, bindings and alternate exchanges.
+ * Each finding is a path of `{ type, name, vhost }` leading to it.
+ *
+ * @param {Index|object} definitions - Built Index or definitions object.
+ * @returns {{ cycles: object[][], unreachableQueues: object[][], deadEnds: object[][], unpublishedInternal: object[][] }}
+ */
+export const analyzeTopology = (definitions) => {
+	nodeAssert.ok(definitions && typeof definitions === 'object');
+	const index = definitions instanceof Index ? definitions : Index.fromDefinitions(definitions, false);
+	const graph = buildGraph(index);
+	const exchanges = graph.nodes.filter(({ type }) => type === 'exchange');
+	const queues = graph.nodes.filter(({ type }) => type === 'queue');
+	const isBound = (node) => graph.in(node).length || graph.out(node).length;
+
+	const fromPublishable = walk(exchanges.filter(({ resource }) => !resource.internal), graph.out);
+	const toQueue = walk(queues, graph.in);
+
+	const unreachableQueues = queues
+		.filter((node) => isBound(node) && !fromPublishable.has(node))
+		.map((node) => toPath(walkBack(graph, node)));
+
+	const unpublishedInternal = exchanges
+		.filter((node) => node.resource.internal && isBound(node) && !fromPublishable.has(node))
+		.map((node) => toPath(walkBack(graph, node)));
+
+	const deadEnds = exchanges
+		.filter((node) => isBound(node) && !toQueue.has(node))
+		.map((node) => {
+			// the longest chain messages go through before getting dropped
+			const paths = [...walk([node], graph.out).values()];
+			return toPath(paths.reduce((longest, path) => path.length > longest.length ? path : longest));
+		});
+
+	return {
+		cycles: findCycles(graph),
+		unreachableQueues,
+		deadEnds,
+		unpublishedInternal,
+	};
+};
+
+export default analyzeTopology;
@@ -34,6 +34,8 @@ const assertUsage = (definitions, usageStats, throwOnFirstError = false) => {
 			}
 		} else if (Object.keys(u).length === 1 && u.vhost) {
 			// There are sometimes usage objects that only contain vhost, ignore those
+		} else if (u.user) {
+			// Usage objects that only record the user are used for auditing users
 		} else {
 			throw new Error(`Unexpected usage record type: ${JSON.stringify(u)}`);
 		}
@@ -53,6 +55,8 @@ const assertUsage = (definitions, usageStats, throwOnFirstError = false) => {
 			index.queues.delete({ vhost, name: u.queue });
 		} else if (Object.keys(u).length === 1 && u.vhost) {
 			// There are sometimes usage objects that only contain vhost, ignore those
+		} else if (u.user) {
+			// Usage objects that only record the user are used for auditing users
 		} else {
 			throw new Error(`Unexpected usage record type: ${JSON.stringify(u)}`);
 		}
@@ -12,8 +12,8 @@ export const readJSONSync = (path) => {
 	return JSON.parse(readFileSync(path, 'utf8'));
 };
 
-export const writeJSONSync = (path, content) => {
-	return writeFileSync(path, JSON.stringify(content, null, 2));
+export const writeJSONSync = (path, content, options) => {
+	return writeFileSync(path, JSON.stringify(content, null, 2), options);
 };
 
 export const readIgnoreFileSync = (path) => {
@@ -40,6 +40,15 @@ export const getOptValue = (option) => {
 	return null;
 };
 
+export const getOptValues = (option) => {
+	const values = [];
+	let value;
+	while ((value = getOptValue(option)) !== null) {
+		values.push(value);
+	}
+	return values;
+};
+
 export const pathResolve = (input) => {
 	if (URL.canParse(input)) {
 		return new URL(input);
@@ -1,6 +1,7 @@
 import { validateRootStructure } from './structure.js';
 import { validateRelations } from './relations.js';
 import { validateUsage } from './usage.js';
+import { validateQueueArguments } from './queueArguments.js';
 import printInfo from './info.js';
 import { readJSONSync } from './utils.js';
 import Failure from './Failure.js';
@@ -21,6 +22,7 @@ export const validateAll = (definitions, usageStats) => {
 	return [
 		...(tryCollect(() => Failure.arrayFromSuperstructError(validateRootStructure(definitions)))),
 		...(tryCollect(() => validateRelations(definitions))),
+		...(tryCollect(() => validateQueueArguments(definitions))),
 		...(tryCollect(() => usageStats && validateUsage(definitions, usageStats))),
 	];
 };
@@ -0,0 +1,65 @@
+import { strict as assert } from 'assert';
+import { describe, it } from 'node:test';
+
+import { copy, readJSONSync } from '../src/utils.js';
+import checkAccess, { checkAccessForAll, matchPermission } from '../src/access.js';
+
+const valid = readJSONSync('./fixtures/full.json');
+
+const user = (name) => ({ name, password_hash: '', hashing_algorithm: 'rabbit_password_hashing_sha256', tags: [], limits: {} });
+
+const getDefinitions = () => {
+	const def = copy(valid);
+	def.users.push(user('publisher'), user('consumer'));
+	def.permissions.push(
+		{ user: 'publisher', vhost: '/', configure: '', write: '^defect_', read: '' },
+		{ user: 'consumer', vhost: '/', configure: '', write: '', read: '^defect_queue$' },
+	);
+	def.topic_permissions.push(
+		{ user: 'publisher', vhost: '/', exchange: 'defect_topic', write: '^{username}\\.', read: '.*' },
+	);
+	return def;
+};
+
+describe('access', () => {
+	it('matches permission patterns like RabbitMQ', () => {
+		assert.ok(matchPermission('.*', 'anything'));
+		assert.ok(matchPermission('queue', 'my-queue-1'));
+		assert.ok(!matchPermission('^queue$', 'my-queue-1'));
+		assert.ok(!matchPermission('', 'anything'));
+		assert.ok(!matchPermission('(', 'anything'));
+	});
+
+	it('checks publishing', () => {
+		const def = getDefinitions();
+		assert.equal(checkAccess(def, { user: 'publisher', vhost: '/', action: 'publish', name: 'defect_direct' }).allowed, true);
+		assert.equal(checkAccess(def, { user: 'consumer', vhost: '/', action: 'publish', name: 'defect_direct' }).allowed, false);
+		assert.match(checkAccess(def, { user: 'publisher', vhost: '/', action: 'publish', name: '' }).reason, /"amq.default"/);
+		assert.match(checkAccess(def, { user: 'publisher', vhost: 'isolated', action: 'publish', name: 'defect_direct' }).reason, /no permissions/);
+	});
+
+	it('checks topic permissions when publishing to topic exchanges', () => {
+		const def = getDefinitions();
+		assert.equal(checkAccess(def, { user: 'publisher', vhost: '/', action: 'publish', name: 'defect_topic', routingKey: 'publisher.a' }).allowed, true);
+		const denied = checkAccess(def, { user: 'publisher', vhost: '/', action: 'publish', name: 'defect_topic', routingKey: 'other.a' });
+		assert.equal(denied.allowed, false);
+		assert.match(denied.reason, /topic write pattern "\^publisher\\\." does not match routing key "other.a"/);
+		// topic permissions for other users do not restrict
+		assert.equal(checkAccess(def, { user: 'guest', vhost: '/', action: 'publish', name: 'defect_topic', routingKey: 'other.a' }).allowed, true);
+	});
+
+	it('checks consuming', () => {
+		const def = getDefinitions();
+		assert.equal(checkAccess(def, { user: 'consumer', vhost: '/', action: 'consume', name: 'defect_queue' }).allowed, true);
+		assert.equal(checkAccess(def, { user: 'publisher', vhost: '/', action: 'consume', name: 'defect_queue' }).allowed, false);
+	});
+
+	it('lists access for all users', () => {
+		const results = checkAccessForAll(getDefinitions(), { vhost: '/', action: 'consume', name: 'defect_queue' });
+		assert.deepEqual(results.filter(({ allowed }) => allowed).map(({ user }) => user), ['guest', 'consumer']);
+	});
+
+	it('throws on unknown action', () => {
+		assert.throws(() => checkAccess(getDefinitions(), { user: 'guest', vhost: '/', action: 'delete', name: 'q' }), /unknown action/i);
+	});
+});
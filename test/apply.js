@@ -160,6 +160,25 @@ describe('apply', () => {
 		);
 	});
 
+	it('reverts property level changes', () => {
+		const diff = compileDiff(valid, changedDefinitions);
+		const [change] = diff.changed.users;
+		const [reverted] = revert(diff).changed.users;
+
+		assert.deepEqual(reverted.changes, change.changes.map(({ path, before, after }) => ({ path, before: after, after: before })));
+	});
+
+	it('accepts changes without property level changes', () => {
+		const diff = compileDiff(valid, changedDefinitions);
+		for (const list of Object.values(diff.changed)) {
+			for (const change of list) {
+				delete change.changes;
+			}
+		}
+
+		assert.deepEqual(apply(diff, valid), apply(compileDiff(valid, changedDefinitions), valid));
+	});
+
 	it('has a revert option', () => {
 		const diff = revert(compileDiff(valid, changedDefinitions));
 
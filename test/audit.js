@@ -0,0 +1,104 @@
+import { strict as assert } from 'assert';
+import { describe, it, before, after, mock } from 'node:test';
+
+import { copy, readJSONSync } from '../src/utils.js';
+import audit, { isAtLeast } from '../src/audit.js';
+import Failure from '../src/Failure.js';
+
+const valid = readJSONSync('./fixtures/full.json');
+
+const user = (name, extra = {}) => ({ name, password_hash: 'hash', hashing_algorithm: 'rabbit_password_hashing_sha256', tags: [], limits: {}, ...extra });
+const permission = (name, pattern = '^app\\.') => ({ user: name, vhost: '/', configure: pattern, write: pattern, read: pattern });
+
+const getDefinitions = () => {
+	const def = copy(valid);
+	def.users = [user('app')];
+	def.permissions = [permission('app')];
+	def.topic_permissions = [];
+	return def;
+};
+
+const findingsFor = (def, usage) => audit(def, usage).map(({ severity, message }) => [severity, message]);
+
+describe('audit', () => {
+	before(() => {
+		mock.method(console, 'log', () => {});
+		mock.method(console, 'warn', () => {});
+		mock.method(console, 'error', () => {});
+	});
+
+	after(() => {
+		mock.reset();
+	});
+
+	it('finds nothing in a safe definitions file', () => {
+		assert.deepEqual(audit(getDefinitions()), []);
+	});
+
+	it('reports findings as failures with severities', () => {
+		const findings = audit(copy(valid));
+		assert.ok(findings.length);
+		for (const finding of findings) {
+			assert.ok(finding instanceof Failure);
+			assert.ok(['low', 'medium', 'high'].includes(finding.severity));
+		}
+	});
+
+	it('flags risky users', () => {
+		const def = getDefinitions();
+		def.users.push(
+			user('guest'),
+			user('admin', { tags: ['administrator'] }),
+			user('md5', { hashing_algorithm: 'rabbit_password_hashing_md5' }),
+			user('nopass', { password_hash: '' }),
+		);
+		def.permissions.push(permission('guest'), permission('admin'), permission('md5'), permission('nopass'));
+
+		assert.deepEqual(findingsFor(def), [
+			['high', 'Default user "guest" is defined'],
+			['medium', 'User "admin" has the "administrator" tag'],
+			['high', 'User "md5" uses a weak password hashing algorithm "rabbit_password_hashing_md5"'],
+			['high', 'User "nopass" has an empty password hash'],
+		]);
+	});
+
+	it('flags catch-all permissions', () => {
+		const def = getDefinitions();
+		def.permissions[0].write = '.*';
+		def.permissions[0].read = '^.*$';
+		def.topic_permissions.push({ user: 'app', vhost: '/', exchange: 'e', write: '.*', read: '' });
+
+		assert.deepEqual(findingsFor(def), [
+			['medium', 'User "app" has catch-all write/read permissions in vhost "/"'],
+			['low', 'User "app" has catch-all write topic permissions for exchange "e" in vhost "/"'],
+		]);
+	});
+
+	it('flags users without permissions', () => {
+		const def = getDefinitions();
+		def.users.push(user('idle'));
+		def.topic_permissions.push({ user: 'idle', vhost: '/', exchange: 'e', write: '^a', read: '^a' });
+
+		assert.deepEqual(findingsFor(def), [
+			['low', 'User "idle" has no permissions in any vhost'],
+		]);
+	});
+
+	it('flags users missing from usage stats', () => {
+		const def = getDefinitions();
+		def.users.push(user('unused'));
+		def.permissions.push(permission('unused'));
+
+		assert.deepEqual(findingsFor(def, [{ vhost: '/', user: 'app' }]), [
+			['medium', 'User "unused" is defined but not used according to usage stats'],
+		]);
+		// usage stats without users say nothing about users
+		assert.deepEqual(findingsFor(def, [{ vhost: '/', queue: 'q' }]), []);
+	});
+
+	it('compares severities', () => {
+		assert.ok(isAtLeast('high', 'low'));
+		assert.ok(isAtLeast('medium', 'medium'));
+		assert.ok(!isAtLeast('low', 'medium'));
+	});
+});
@@ -0,0 +1,92 @@
+import { strict as assert } from 'assert';
+import { describe, it, before, after, mock } from 'node:test';
+
+import { copy, readJSONSync } from '../src/utils.js';
+import diff from '../src/diff.js';
+import { planDeploy } from '../src/deploy.js';
+import { countResources, countPlan, checkBudget } from '../src/budget.js';
+import { parseTypeLimits } from '../src/config.js';
+
+const valid = readJSONSync('./fixtures/full.json');
+
+const getPlan = () => {
+	const after = copy(valid);
+	// replace a queue, add one and delete the "isolated" vhost with everything in it
+	after.queues[0].arguments = { 'x-message-ttl': 1000 };
+	after.queues.push({ name: 'new', vhost: '/', durable: true, auto_delete: false, arguments: {} });
+	after.vhosts = after.vhosts.filter(({ name }) => name !== 'isolated');
+	for (const type of ['queues', 'exchanges', 'bindings', 'permissions', 'topic_permissions', 'policies', 'parameters']) {
+		after[type] = after[type].filter(({ vhost }) => vhost !== 'isolated');
+	}
+	return planDeploy(diff(valid, after), { recreateChanged: true });
+};
+
+const isolatedCount = ['queues', 'exchanges', 'bindings', 'permissions', 'topic_permissions', 'policies', 'parameters']
+	.reduce((acc, type) => acc + valid[type].filter(({ vhost }) => vhost === 'isolated').length, 1);
+
+describe('budget', () => {
+	before(() => {
+		mock.method(console, 'warn', () => {});
+	});
+
+	after(() => {
+		mock.reset();
+	});
+
+	it('parses per type limits', () => {
+		assert.deepEqual(parseTypeLimits(['queues:10', 'bindings:0']), { queues: 10, bindings: 0 });
+		assert.throws(() => parseTypeLimits(['queue:10']), /resource type "queue"/);
+		assert.throws(() => parseTypeLimits(['queues:-1']), /non-negative integer/);
+		assert.throws(() => parseTypeLimits(['queues']), /non-negative integer/);
+	});
+
+	it('counts resources on the server', () => {
+		const total = ['vhosts', 'users', 'permissions', 'topic_permissions', 'parameters', 'global_parameters', 'policies', 'queues', 'exchanges', 'bindings']
+			.reduce((acc, type) => acc + (valid[type]?.length ?? 0), 0);
+		assert.equal(countResources(valid), total);
+		assert.equal(countResources(valid, ['/vhosts/isolated']), total - isolatedCount);
+	});
+
+	it('counts a replaced resource once and resources deleted with their vhost as deletions', () => {
+		const { changes, deletions, byType } = countPlan(getPlan().operations);
+		assert.equal(deletions, isolatedCount);
+		assert.equal(byType.queues, 3);
+		assert.ok(changes > deletions + 2);
+	});
+
+	it('passes without limits', () => {
+		assert.deepEqual(checkBudget(getPlan(), countResources(valid), {}), []);
+	});
+
+	it('lists exceeded limits', () => {
+		const { changes } = countPlan(getPlan().operations);
+		const exceeded = checkBudget(getPlan(), countResources(valid), {
+			maxDeletions: isolatedCount - 1,
+			maxChanges: changes - 1,
+			maxChangesPerType: { queues: 2, users: 0 },
+			maxDeletionRatio: 0.1,
+		});
+		assert.equal(exceeded.length, 4);
+		assert.match(exceeded[0], new RegExp(`^${isolatedCount} deleted resources exceed the maximum of ${isolatedCount - 1}`));
+		assert.match(exceeded[1], /changed resources exceed/);
+		assert.match(exceeded[2], /^3 changed queues exceed the maximum of 2/);
+		assert.match(exceeded[3], /maximum ratio of 0.1/);
+	});
+
+	it('accepts plans at the limits', () => {
+		const { changes, deletions } = countPlan(getPlan().operations);
+		const serverCount = countResources(valid);
+		assert.deepEqual(checkBudget(getPlan(), serverCount, {
+			maxDeletions: deletions,
+			maxChanges: changes,
+			maxChangesPerType: { queues: 3 },
+			maxDeletionRatio: deletions / serverCount,
+		}), []);
+	});
+
+	it('allows plans without deletions with a zero deletion ratio', () => {
+		const after = copy(valid);
+		after.queues.push({ name: 'new', vhost: '/', durable: true, auto_delete: false, arguments: {} });
+		assert.deepEqual(checkBudget(planDeploy(diff(valid, after)), 0, { maxDeletions: 0, maxDeletionRatio: 0 }), []);
+	});
+});
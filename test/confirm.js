@@ -0,0 +1,132 @@
+import { strict as assert } from 'assert';
+import { describe, it, before, after, mock } from 'node:test';
+
+import { copy, readJSONSync } from '../src/utils.js';
+import diff from '../src/diff.js';
+import { planDeploy } from '../src/deploy.js';
+import { selectableEntries, renderReview, parseSelection, selectPlan, confirmPlan } from '../src/confirm.js';
+
+const valid = readJSONSync('./fixtures/full.json');
+// a policy to be deleted with the "isolated" vhost
+const base = { ...copy(valid), policies: [{ vhost: 'isolated', name: 'ttl', pattern: '.*', 'apply-to': 'queues', priority: 0, definition: { 'message-ttl': 1000 } }] };
+
+const getPlan = () => {
+	const after = copy(base);
+	// replace the exchange with bindings, add a queue, change a user and delete the "isolated" vhost
+	after.exchanges.find(({ name, vhost }) => name === 'defect_headers' && vhost === '/').durable = false;
+	after.queues.push({ name: 'new', vhost: '/', durable: true, auto_delete: false, arguments: {} });
+	after.users[0].tags = [];
+	after.vhosts = after.vhosts.filter(({ name }) => name !== 'isolated');
+	for (const type of ['queues', 'exchanges', 'bindings', 'permissions', 'topic_permissions', 'policies', 'parameters']) {
+		after[type] = after[type].filter(({ vhost }) => vhost !== 'isolated');
+	}
+	return planDeploy(diff(base, after), { recreateChanged: true });
+};
+
+const scripted = (answers) => async () => {
+	assert.ok(answers.length, 'Asked more than expected');
+	return answers.shift();
+};
+
+describe('confirm', () => {
+	before(() => {
+		mock.method(console, 'warn', () => {});
+	});
+
+	after(() => {
+		mock.reset();
+	});
+
+	it('leaves out entries done as a side effect from the selectable entries', () => {
+		const plan = getPlan();
+		const entries = selectableEntries(plan);
+		assert.ok(plan.operations.some(({ implicit }) => implicit));
+		assert.ok(plan.operations.some(({ operation }) => operation === 'implicitlyAffected'));
+		assert.ok(entries.every(({ implicit, operation }) => !implicit && operation !== 'implicitlyAffected'));
+		assert.deepEqual(entries.map(({ type }) => type), ['queues', 'queues', 'users', 'exchanges', 'exchanges', 'bindings', 'bindings', 'vhosts']);
+	});
+
+	it('renders the plan grouped by type with numbers of the selectable entries', () => {
+		const review = renderReview(getPlan()).split('\n');
+		assert.equal(review[0], 'queues:');
+		assert.equal(review[1], '1.   + queue "new" in vhost "/"');
+		assert.ok(review.includes('exchanges:'));
+		assert.ok(review.includes('4. -/+ exchange "defect_headers" (headers) in vhost "/"'));
+		assert.ok(review.includes('        durable: true -> false'));
+		assert.ok(review.includes('     - policy "ttl" (deleted with the vhost) in vhost "isolated"'));
+		assert.ok(review.some((line) => /^ {3}-\/\+ binding .* \(recreated with the replaced exchange or queue\)/.test(line)));
+		assert.match(review.at(-1), /^Plan: /);
+	});
+
+	it('renders ignored changes', () => {
+		const after = copy(valid);
+		after.queues[0].durable = false;
+		const review = renderReview(planDeploy(diff(valid, after)));
+		assert.match(review, /Ignored changes, not deployed:\nqueues:\n {5}~ queue "defect_queue" in vhost "\/"/);
+	});
+
+	it('parses selections of types, operations, numbers and ranges', () => {
+		const entries = selectableEntries(getPlan());
+		const ids = (input) => [...parseSelection(input, entries)].map((id) => id.split(':')[0]);
+		assert.deepEqual(ids('queues'), ['queues', 'queues']);
+		assert.deepEqual(ids('added, changed'), ['queues', 'users']);
+		assert.deepEqual(ids('1 3-4'), ['queues', 'users', 'exchanges']);
+		assert.throws(() => parseSelection('9', entries), /from 1 to 8/);
+		assert.throws(() => parseSelection('3-1', entries), /Invalid selection/);
+		assert.throws(() => parseSelection('queue', entries), /Invalid selection "queue"/);
+	});
+
+	it('selects operations done as a side effect with the resource causing them', () => {
+		const plan = getPlan();
+		const entries = selectableEntries(plan);
+
+		const additions = selectPlan(plan, parseSelection('added', entries));
+		assert.deepEqual(additions.operations.map(({ type, operation }) => [type, operation]), [['queues', 'added']]);
+
+		const replaced = selectPlan(plan, parseSelection('replaced', entries)).operations;
+		assert.ok(replaced.some(({ operation }) => operation === 'implicitlyAffected'));
+		assert.ok(replaced.every(({ implicit }) => !implicit));
+
+		const vhost = selectPlan(plan, parseSelection('vhosts', entries)).operations;
+		assert.ok(vhost.length > 1);
+		assert.ok(vhost.every(({ type, implicit }) => type === 'vhosts' || implicit));
+	});
+
+	it('selects the added resources needed by the selected ones', () => {
+		const after = copy(base);
+		after.vhosts.push({ name: 'new-vhost' });
+		after.users.push({ name: 'new-user', password_hash: 'hash', hashing_algorithm: 'rabbit_password_hashing_sha256', tags: [] });
+		after.exchanges.push({ name: 'new', vhost: 'new-vhost', type: 'fanout', durable: true, auto_delete: false, internal: false, arguments: {} });
+		after.queues.push({ name: 'new', vhost: 'new-vhost', durable: true, auto_delete: false, arguments: {} });
+		after.bindings.push({ source: 'new', vhost: 'new-vhost', destination: 'new', destination_type: 'queue', routing_key: '', arguments: {} });
+		after.permissions.push({ user: 'new-user', vhost: 'new-vhost', configure: '.*', write: '.*', read: '.*' });
+		const plan = planDeploy(diff(base, after));
+		const entries = selectableEntries(plan);
+		const select = (type) => selectPlan(plan, parseSelection(String(entries.findIndex((entry) => entry.type === type) + 1), entries))
+			.operations.map(({ type }) => type);
+
+		assert.deepEqual(select('queues'), ['vhosts', 'queues']);
+		assert.deepEqual(select('permissions'), ['vhosts', 'users', 'permissions']);
+		assert.deepEqual(select('bindings'), ['vhosts', 'exchanges', 'queues', 'bindings']);
+		assert.deepEqual(select('vhosts'), ['vhosts']);
+	});
+
+	it('deploys the plan or nothing as answered', async () => {
+		const plan = getPlan();
+		assert.equal(await confirmPlan(plan, scripted(['y']), () => {}), plan);
+		assert.equal(await confirmPlan(plan, scripted(['']), () => {}), null);
+		assert.equal(await confirmPlan(plan, scripted(['maybe', 'no']), () => {}), null);
+	});
+
+	it('does not ask about empty plans', async () => {
+		const plan = planDeploy(diff(valid, valid));
+		assert.equal(await confirmPlan(plan, scripted([]), () => {}), plan);
+	});
+
+	it('deploys a selection after confirming it', async () => {
+		const printed = [];
+		const selected = await confirmPlan(getPlan(), scripted(['s', 'queue', 's', 'added', 'n', 's', 'added', 'y']), (text) => printed.push(text));
+		assert.deepEqual(selected.operations.map(({ type }) => type), ['queues']);
+		assert.ok(printed.includes('Invalid selection "queue". Select resource types, operations or numbers of the resources in the plan'));
+	});
+});
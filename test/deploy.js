@@ -0,0 +1,632 @@
+import { strict as assert } from 'assert';
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import { mkdtempSync, readdirSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+import { copy, readJSONSync } from '../src/utils.js';
+import diff from '../src/diff.js';
+import deploy, { planDeploy, planRollback, createPlan, deployPlan, getStatus } from '../src/deploy.js';
+import { operationDependencies, verifyConvergence, countChanges, diffServerState } from '../src/deploy.utils.js';
+import { key } from '../src/Index.js';
+import { createScope } from '../src/scope.js';
+import { lockParameter } from '../src/lock.js';
+import { revisionParameter, getRevisionParameter } from '../src/revision.js';
+import { readSnapshotSync } from '../src/snapshot.js';
+import config from '../src/config.js';
+import { startFakeServer } from './helpers/fakeServer.js';
+import { exchange, queue } from './helpers/resources.js';
+
+const valid = readJSONSync('./fixtures/full.json');
+
+const getChanges = () => {
+	const before = copy(valid);
+	const after = copy(valid);
+	after.queues[0].arguments = { 'x-message-ttl': 1000 };
+	after.users[0].tags = [];
+	after.queues.push({ name: 'new', vhost: 'isolated', durable: true, auto_delete: false });
+	after.vhosts.push({ name: 'new-vhost' });
+	after.exchanges = after.exchanges.filter(({ name }) => name !== 'defect_topic');
+	after.vhosts = after.vhosts.filter(({ name }) => name !== 'isolated');
+	after.topic_permissions = [];
+	after.permissions[0].read = '';
+	before.permissions.push({ user: 'limited', vhost: 'isolated', configure: '.*', write: '.*', read: '.*' });
+	return diff(before, after);
+};
+
+const summarizeOperations = ({ operations }) => operations.map(({ operation, override, type, method, implicit }) => [operation, override, type, method, !!implicit]);
+
+describe('planDeploy', () => {
+	before(() => {
+		mock.method(console, 'warn', () => {});
+	});
+
+	after(() => {
+		mock.reset();
+	});
+
+	it('orders operations in the order of deployment', () => {
+		const plan = planDeploy(getChanges(), { recreateChanged: true });
+		const operations = summarizeOperations(plan);
+
+		assert.deepEqual(operations.slice(0, 2), [
+			['added', null, 'vhosts', 'PUT', false],
+			['added', null, 'queues', 'PUT', false],
+		]);
+		assert.deepEqual(operations.at(-1), ['deleted', null, 'vhosts', 'DELETE', false]);
+
+		const queueRecreation = operations.filter(([operation, , type]) => operation === 'changed' && type === 'queues');
+		assert.deepEqual(queueRecreation, [
+			['changed', 'deleted', 'queues', 'DELETE', false],
+			['changed', 'added', 'queues', 'PUT', false],
+		]);
+		assert.ok(operations.find(([operation]) => operation === 'implicitlyAffected'));
+		assert.deepEqual(plan.ignored, []);
+	});
+
+	it('marks resources deleted with their vhost implicit', () => {
+		const plan = planDeploy(getChanges(), { recreateChanged: true });
+		const permission = plan.operations.find(({ operation, type }) => operation === 'changed' && type === 'permissions');
+		assert.equal(permission.implicit, undefined);
+
+		const deleted = planDeploy(getChanges()).operations.filter(({ operation }) => operation === 'deleted');
+		assert.deepEqual(deleted.filter(({ implicit }) => implicit).map(({ type, resource }) => [type, resource.user]), [['permissions', 'limited']]);
+		assert.ok(deleted.find(({ type, resource }) => type === 'vhosts' && resource.name === 'isolated'));
+	});
+
+	it('only marks resources in deleted vhosts implicit', () => {
+		const before = copy(valid);
+		before.policies.push(
+			{ vhost: '/', name: 'ttl', pattern: '.*', 'apply-to': 'queues', priority: 0, definition: { 'message-ttl': 1000 } },
+			{ vhost: 'isolated', name: 'ttl', pattern: '.*', 'apply-to': 'queues', priority: 0, definition: { 'message-ttl': 1000 } },
+		);
+		const after = copy(valid);
+		after.vhosts = after.vhosts.filter(({ name }) => name !== 'isolated');
+		after.users = after.users.slice(1);
+		const deleted = planDeploy(diff(before, after)).operations
+			.filter(({ operation, type }) => operation === 'deleted' && ['policies', 'users'].includes(type))
+			.map(({ type, resource, implicit }) => [type, resource.vhost ?? resource.name, !!implicit]);
+
+		assert.deepEqual(deleted, [
+			['policies', '/', false],
+			['policies', 'isolated', true],
+			['users', valid.users[0].name, false],
+		]);
+	});
+
+	it('lists ignored changes', () => {
+		const plan = planDeploy(getChanges(), { noDeletions: true });
+		const ignored = plan.ignored.map(({ operation, type }) => [operation, type]);
+
+		assert.ok(ignored.find(([operation, type]) => operation === 'changed' && type === 'queues'));
+		assert.ok(ignored.find(([operation, type]) => operation === 'deleted' && type === 'exchanges'));
+		assert.ok(!plan.operations.find(({ operation }) => operation === 'deleted'));
+		assert.ok(!plan.operations.find(({ operation, type }) => operation === 'changed' && type === 'queues'));
+		// users are changed in place
+		assert.ok(plan.operations.find(({ operation, type }) => operation === 'changed' && type === 'users'));
+	});
+
+	it('includes requests for the operations', () => {
+		const plan = planDeploy(getChanges());
+		const queue = plan.operations.find(({ operation, type }) => operation === 'added' && type === 'queues');
+		assert.equal(queue.method, 'PUT');
+		assert.equal(queue.path, '/api/queues/isolated/new');
+	});
+
+	it('leaves users and global parameters alone when deploying vhosts', () => {
+		const server = copy(valid);
+		server.users.push({ name: 'operator', password_hash: 'hash', hashing_algorithm: 'rabbit_password_hashing_sha256', tags: [] });
+		server.global_parameters.push({ name: 'cluster_tags', value: { region: 'eu' } });
+		const definitions = copy(valid);
+		definitions.users[0].tags = [];
+		definitions.queues.push({ name: 'new', vhost: 'isolated', durable: true, auto_delete: false, arguments: {} });
+		const state = { bindings: [], definitions: server };
+
+		const plan = planDeploy(diffServerState(state, definitions, null, createScope({ vhosts: ['isolated'] })));
+		assert.deepEqual(summarizeOperations(plan), [['added', null, 'queues', 'PUT', false]]);
+
+		const withUsers = planDeploy(diffServerState(state, definitions, null, createScope({ vhosts: ['isolated'], only: ['users', 'queues'] })));
+		assert.deepEqual(summarizeOperations(withUsers).map(([operation, , type]) => [operation, type]), [['added', 'queues'], ['changed', 'users'], ['deleted', 'users']]);
+	});
+});
+
+describe('operationDependencies', () => {
+	before(() => {
+		mock.method(console, 'warn', () => {});
+	});
+
+	after(() => {
+		mock.reset();
+	});
+
+	const empty = { ...readJSONSync('./fixtures/empty.json'), vhosts: [] };
+	const name = ({ type, resource }) => {
+		const vhost = type !== 'vhosts' && resource.vhost && resource.vhost !== '/' ? ` @ ${resource.vhost}` : '';
+		return `${type}:${resource.name ?? resource.user ?? `${resource.source}->${resource.destination}`}${vhost}`;
+	};
+	const dependenciesByName = (operations) => {
+		const dependencies = operationDependencies(operations);
+		return Object.fromEntries(operations.map((op, idx) => [name(op), dependencies[idx].map((dep) => name(operations[dep])).sort()]));
+	};
+
+	it('creates referenced resources first', () => {
+		const after = copy(valid);
+		after.exchanges.push({ name: 'with_alternate', vhost: '/', type: 'fanout', durable: true, auto_delete: false, internal: false, arguments: { 'alternate-exchange': 'defect_direct' } });
+		const { operations } = planDeploy(diff(empty, after));
+		const dependencies = dependenciesByName(operations);
+
+		assert.deepEqual(dependencies['vhosts:/'], []);
+		assert.deepEqual(dependencies['queues:defect_queue'], ['vhosts:/']);
+		assert.deepEqual(dependencies['exchanges:with_alternate'], ['exchanges:defect_direct', 'vhosts:/']);
+		const binding = operations.find(({ type }) => type === 'bindings');
+		assert.deepEqual(dependencies[name(binding)], [`exchanges:${binding.resource.source}`, `${binding.resource.destination_type}s:${binding.resource.destination}`, 'vhosts:/'].sort());
+		assert.ok(dependencies['permissions:guest'].includes('users:guest'));
+	});
+
+	it('deletes referencing resources first', () => {
+		const { operations } = planDeploy(diff(valid, empty));
+		const dependencies = dependenciesByName(operations);
+		const binding = operations.find(({ type }) => type === 'bindings');
+
+		assert.ok(dependencies[`exchanges:${binding.resource.source}`].includes(name(binding)));
+		assert.ok(dependencies['vhosts:/'].includes('queues:defect_queue'));
+		assert.ok(dependencies['users:guest'].includes('permissions:guest'));
+		assert.deepEqual(dependencies[name(binding)], []);
+	});
+
+	it('runs operations on the same resource in order', () => {
+		const after = copy(valid);
+		after.queues[0].arguments = { 'x-message-ttl': 1000 };
+		const { operations } = planDeploy(diff(valid, after), { recreateChanged: true });
+		const recreation = operations.flatMap((op, idx) => op.operation === 'changed' && op.type === 'queues' ? [idx] : []);
+		assert.equal(recreation.length, 2);
+		assert.deepEqual(operationDependencies(operations)[recreation[1]], [recreation[0]]);
+	});
+
+	it('breaks cycles of alternate exchanges', () => {
+		const after = copy(empty);
+		const exchange = (name, alternate) => ({ name, vhost: '/', type: 'fanout', durable: true, auto_delete: false, internal: false, arguments: { 'alternate-exchange': alternate } });
+		after.exchanges.push(exchange('a', 'b'), exchange('b', 'a'));
+		const { operations } = planDeploy(diff(empty, after));
+		const dependencies = dependenciesByName(operations);
+		assert.deepEqual(dependencies['exchanges:a'], ['exchanges:b']);
+		assert.deepEqual(dependencies['exchanges:b'], []);
+	});
+});
+
+describe('planRollback', () => {
+	before(() => {
+		mock.method(console, 'warn', () => {});
+	});
+
+	after(() => {
+		mock.reset();
+	});
+
+	const summarize = (operations) => operations.map(({ operation, type, method, path }) => [operation, type, method, path]);
+
+	it('undoes operations in reverse order', () => {
+		const after = copy(valid);
+		after.queues.push({ name: 'new', vhost: 'isolated', durable: true, auto_delete: false, arguments: {} });
+		after.users[0].tags = ['changed'];
+		after.exchanges = after.exchanges.filter(({ name }) => name !== 'defect_topic');
+		const { operations } = planDeploy(diff(valid, after));
+
+		const rollback = planRollback(operations);
+		assert.deepEqual(summarize(rollback), [
+			['added', 'exchanges', 'PUT', '/api/exchanges/%2F/defect_topic'],
+			['changed', 'users', 'PUT', '/api/users/guest'],
+			['deleted', 'queues', 'DELETE', '/api/queues/isolated/new'],
+		]);
+		assert.deepEqual(rollback[1].resource, valid.users[0]);
+		assert.equal(rollback[1].undoes, operations[1]);
+	});
+
+	it('puts recreated resources back as they were before', () => {
+		const after = copy(valid);
+		after.exchanges[2].durable = false;
+		const { operations } = planDeploy(diff(valid, after), { recreateChanged: true });
+
+		const rollback = planRollback(operations, new Map(valid.bindings.map((binding) => [key.bindings(binding), 'props'])));
+		const exchanges = rollback.filter(({ type }) => type === 'exchanges');
+		assert.deepEqual(exchanges.map(({ method, resource }) => [method, resource.durable]), [['DELETE', false], ['PUT', true]]);
+		// implicitly affected bindings are deleted with the exchange and restored after it
+		const bindings = rollback.filter(({ type }) => type === 'bindings');
+		assert.deepEqual(bindings.map(({ method, path }) => [method, path]), [
+			['DELETE', '/api/bindings/%2F/e/defect_headers/q/defect_queue/props'],
+			['POST', '/api/bindings/%2F/e/defect_headers/q/defect_queue'],
+		]);
+	});
+
+	it('uses properties keys to delete created bindings', () => {
+		const before = copy(valid);
+		const binding = before.bindings.shift();
+		const { operations } = planDeploy(diff(before, valid));
+		const rollback = planRollback(operations, new Map([[key.bindings(binding), 'props~key']]));
+		assert.deepEqual(summarize(rollback), [
+			['deleted', 'bindings', 'DELETE', '/api/bindings/%2F/e/defect_headers/q/defect_queue/props~key'],
+		]);
+	});
+
+	it('restores resources deleted with their vhost only if the vhost was deleted', () => {
+		const before = copy(valid);
+		before.policies.push({ vhost: 'isolated', name: 'ttl', pattern: '.*', 'apply-to': 'queues', priority: 0, definition: { 'message-ttl': 1000 } });
+		const after = copy(valid);
+		after.vhosts = after.vhosts.filter(({ name }) => name !== 'isolated');
+		for (const type of ['queues', 'exchanges', 'bindings']) {
+			after[type] = after[type].filter(({ vhost }) => vhost !== 'isolated');
+		}
+		const { operations } = planDeploy(diff(before, after));
+		const implicit = operations.filter(({ implicit }) => implicit);
+		const vhost = operations.find(({ type }) => type === 'vhosts');
+
+		assert.deepEqual(implicit.map(({ type }) => type), ['policies']);
+		assert.deepEqual(planRollback(implicit), []);
+		const rollback = planRollback([...implicit, vhost]);
+		assert.deepEqual(rollback.map(({ method, type }) => [method, type]), [['PUT', 'vhosts'], ...implicit.map(({ type }) => ['PUT', type])]);
+	});
+});
+
+describe('topic permissions', () => {
+	before(() => {
+		mock.method(console, 'warn', () => {});
+	});
+
+	after(() => {
+		mock.reset();
+	});
+
+	const tp = (user, exchange, write = '.*') => ({ user, vhost: '/', exchange, write, read: '.*' });
+	const withTopicPermissions = (topicPermissions) => ({ ...copy(valid), topic_permissions: topicPermissions });
+	// the other user's topic permissions are never changed
+	const other = tp('limited', 'e1');
+
+	// Topic permissions on a server, which deletes topic permissions for every exchange of a user at once
+	const serverState = (topicPermissions) => new Map(topicPermissions.map((item) => [key.topic_permissions(item), item]));
+	const request = (state, { type, method, resource, implicit }) => {
+		if (type !== 'topic_permissions' || implicit) {
+			return;
+		}
+		if (method === 'PUT') {
+			state.set(key.topic_permissions(resource), resource);
+			return;
+		}
+		for (const [id, item] of state) {
+			if (item.user === resource.user && item.vhost === resource.vhost) {
+				state.delete(id);
+			}
+		}
+	};
+	// Runs the latest operation that is ready first to catch missing dependencies
+	const run = (state, operations) => {
+		const dependencies = operationDependencies(operations);
+		const performed = [];
+		const done = new Set();
+		while (done.size < operations.length) {
+			const idx = operations.findLastIndex((op, i) => !done.has(i) && dependencies[i].every((dep) => done.has(dep)));
+			request(state, operations[idx]);
+			performed.push(operations[idx]);
+			done.add(idx);
+		}
+		return performed;
+	};
+	const sorted = (topicPermissions) => [...topicPermissions].sort((a, b) => key.topic_permissions(a) < key.topic_permissions(b) ? -1 : 1);
+
+	const matrix = [
+		['deleting one of several exchanges', [tp('guest', 'e1'), tp('guest', 'e2'), tp('guest', 'e3')], [tp('guest', 'e2'), tp('guest', 'e3')], 1],
+		['deleting every exchange', [tp('guest', 'e1'), tp('guest', 'e2')], [], 1],
+		['deleting one exchange and changing another', [tp('guest', 'e1'), tp('guest', 'e2')], [tp('guest', 'e2', '^x')], 1],
+		['deleting one exchange and adding another', [tp('guest', 'e1'), tp('guest', 'e2')], [tp('guest', 'e2'), tp('guest', 'e3')], 1],
+		['replacing every exchange', [tp('guest', 'e1'), tp('guest', 'e2')], [tp('guest', 'e3')], 1],
+		['changing one of several exchanges', [tp('guest', 'e1'), tp('guest', 'e2')], [tp('guest', 'e1', '^x'), tp('guest', 'e2')], 0],
+		['adding an exchange', [tp('guest', 'e1')], [tp('guest', 'e1'), tp('guest', 'e2')], 0],
+	];
+
+	for (const [title, beforeState, afterState, deletions] of matrix) {
+		describe(title, () => {
+			const plan = () => planDeploy(diff(withTopicPermissions([...beforeState, other]), withTopicPermissions([...afterState, other])));
+
+			it('deploys the topic permissions of the user for every exchange', () => {
+				const state = serverState([...beforeState, other]);
+				const { operations } = plan();
+				run(state, operations);
+				assert.deepEqual(sorted(state.values()), sorted([...afterState, other]));
+				assert.equal(operations.filter(({ method, implicit }) => method === 'DELETE' && !implicit).length, deletions);
+				assert.ok(operations.every(({ resource }) => resource.user === 'guest'));
+			});
+
+			it('rolls back the topic permissions of the user for every exchange', () => {
+				const state = serverState([...beforeState, other]);
+				const performed = run(state, plan().operations);
+				run(state, planRollback(performed, new Map(), [...state.values()]));
+				assert.deepEqual(sorted(state.values()), sorted([...beforeState, other]));
+			});
+		});
+	}
+
+	it('lists topic permissions deleted with the deleted ones in the diff', () => {
+		const changes = diff(withTopicPermissions([tp('guest', 'e1'), tp('guest', 'e2'), other]), withTopicPermissions([tp('guest', 'e2'), other]));
+		assert.deepEqual(copy(changes.implicitlyAffected.topic_permissions), [tp('guest', 'e2')]);
+	});
+
+	it('deletes once per user and puts the remaining ones back after it', () => {
+		const { operations } = planDeploy(diff(
+			withTopicPermissions([tp('guest', 'e1'), tp('guest', 'e2'), tp('guest', 'e3')]),
+			withTopicPermissions([tp('guest', 'e3')])
+		));
+		assert.deepEqual(operations.map(({ operation, override, method, implicit, resource }) => [operation, override, method, !!implicit, resource.exchange]), [
+			['deleted', null, 'DELETE', false, 'e1'],
+			['deleted', null, 'DELETE', true, 'e2'],
+			['implicitlyAffected', 'added', 'PUT', false, 'e3'],
+		]);
+		assert.deepEqual(operationDependencies(operations), [[], [0], [0, 1]]);
+	});
+});
+
+describe('verifyConvergence', () => {
+	before(() => {
+		mock.method(console, 'warn', () => {});
+	});
+
+	after(() => {
+		mock.reset();
+	});
+
+	// serves given server states in order, repeating the last one
+	const fakeClient = (...states) => {
+		let requests = 0;
+		return {
+			get requests() {
+				return requests;
+			},
+			requestBindings: async () => states[Math.min(requests, states.length - 1)].bindings,
+			requestDefinitions: async () => states[Math.min(requests++, states.length - 1)],
+		};
+	};
+
+	it('resolves when the server matches the definitions', async () => {
+		const client = fakeClient(copy(valid));
+		assert.equal(await verifyConvergence(client, copy(valid)), null);
+		assert.equal(client.requests, 1);
+	});
+
+	it('waits for the server to settle', async () => {
+		const unsettled = copy(valid);
+		unsettled.queues.pop();
+		const client = fakeClient(unsettled, unsettled, copy(valid));
+		assert.equal(await verifyConvergence(client, copy(valid), { settlePeriod: 10000, interval: 1 }), null);
+		assert.equal(client.requests, 3);
+	});
+
+	it('resolves with remaining differences after the settle period', async () => {
+		const unsettled = copy(valid);
+		unsettled.queues.pop();
+		const client = fakeClient(unsettled);
+		const residual = await verifyConvergence(client, copy(valid), { settlePeriod: 200, interval: 1 });
+		assert.equal(countChanges(residual), 1);
+		assert.deepEqual(residual.added.queues, [valid.queues.at(-1)]);
+		assert.ok(client.requests > 1);
+	});
+});
+
+describe('deploy', () => {
+	let server;
+	const options = { skipPreflight: true, snapshotDir: null };
+	const settleDelay = config.lock.settleDelay;
+
+	// adds an exchange and two queues, the second one failing to be created if `failing`
+	const withChanges = () => {
+		const definitions = copy(valid);
+		definitions.exchanges.push(exchange('new-exchange', 'fanout'));
+		definitions.queues.push(queue('new-queue'), queue('failing'));
+		return definitions;
+	};
+	const failingQueue = ({ method, path }) => method === 'PUT' && path === '/api/queues/%2F/failing';
+
+	before(() => {
+		mock.method(console, 'log', () => {});
+		mock.method(console, 'warn', () => {});
+		mock.method(console, 'error', () => {});
+		config.lock.settleDelay = 0;
+	});
+
+	after(() => {
+		mock.reset();
+		config.lock.settleDelay = settleDelay;
+	});
+
+	beforeEach(async () => {
+		server = await startFakeServer(valid);
+	});
+
+	afterEach(() => {
+		server.close();
+	});
+
+	it('deploys the changes and records the deployment', async () => {
+		await deploy(server.url, withChanges(), { ...options, revision: 'v1' });
+		assert.deepEqual(server.mutations().map(({ method, path }) => `${method} ${path}`).sort(), [
+			'PUT /api/exchanges/%2F/new-exchange',
+			'PUT /api/queues/%2F/failing',
+			'PUT /api/queues/%2F/new-queue',
+		]);
+		assert.equal(server.parameters.get(revisionParameter).value.revision, 'v1');
+		assert.equal(server.parameters.has(lockParameter), false);
+	});
+
+	it('keeps the record of scoped deployments apart', async () => {
+		await deploy(server.url, withChanges(), { ...options, revision: 'v1' });
+		const scope = createScope({ vhosts: ['isolated'] });
+		const definitions = copy(valid);
+		definitions.queues.push({ ...queue('team-queue'), vhost: 'isolated' });
+		await deploy(server.url, definitions, { ...options, scope, revision: 'team-v1' });
+		assert.ok(server.parameters.has(getRevisionParameter(scope)));
+
+		const status = await getStatus(server.url);
+		assert.equal(status.deployment.revision, 'v1');
+		assert.equal(status.matches, true);
+		const scoped = await getStatus(server.url, { scope });
+		assert.equal(scoped.deployment.revision, 'team-v1');
+		assert.deepEqual(scoped.deployment.scope, scope);
+		assert.equal(scoped.matches, true);
+		assert.equal((await getStatus(server.url, { scope: createScope({ vhosts: ['other'] }) })).deployment, null);
+	});
+
+	it('rolls back the applied operations when an operation fails', async () => {
+		server.fail = failingQueue;
+		const err = await deploy(server.url, withChanges(), { ...options, rollbackOnFailure: true }).catch((err) => err);
+		assert.equal(err.status, 400);
+		assert.equal(err.context.method, 'PUT');
+		assert.deepEqual(err.notUndone, []);
+		const mutations = server.mutations();
+		const undone = mutations.slice(mutations.findIndex(failingQueue) + 1).filter(({ method }) => method === 'DELETE');
+		assert.deepEqual(undone.map(({ path }) => path).sort(), ['/api/exchanges/%2F/new-exchange', '/api/queues/%2F/new-queue']);
+		assert.equal(server.parameters.has(revisionParameter), false);
+	});
+
+	it('fails with the deploy error when the rollback fails', async () => {
+		let bindingsRequests = 0;
+		server.fail = (request) => failingQueue(request) || (request.path === '/api/bindings' && ++bindingsRequests > 1);
+		const err = await deploy(server.url, withChanges(), { ...options, rollbackOnFailure: true }).catch((err) => err);
+		assert.ok(err.context.url.endsWith('/api/queues/%2F/failing'));
+		assert.deepEqual(err.notUndone.map(({ operation }) => operation.resource.name).sort(), ['new-exchange', 'new-queue']);
+		assert.ok(err.notUndone.every(({ error }) => error.status === 400 && error.context.url.endsWith('/api/bindings')));
+		assert.equal(server.mutations().filter(({ method }) => method === 'DELETE').length, 0);
+		assert.match(console.error.mock.calls.at(-1).arguments[0], /^rollback failed, nothing was undone/);
+	});
+
+	it('holds the lock while changing the server, also when the deployment fails', async () => {
+		const lockPath = `/api/global-parameters/${lockParameter}`;
+		const assertLockedDuringMutations = () => {
+			const writes = server.requests.filter(({ method }) => method !== 'GET').map(({ method, path }) => `${method} ${path}`);
+			assert.equal(writes[0], `PUT ${lockPath}`);
+			assert.equal(writes.at(-1), `DELETE ${lockPath}`);
+			assert.ok(writes.length > 2);
+			assert.equal(server.parameters.has(lockParameter), false);
+		};
+
+		await deploy(server.url, withChanges(), options);
+		assertLockedDuringMutations();
+
+		server.requests = [];
+		server.fail = failingQueue;
+		await assert.rejects(deploy(server.url, withChanges(), { ...options, rollbackOnFailure: true }), /Bad Request/);
+		assertLockedDuringMutations();
+	});
+
+	it('saves a snapshot before changing the server', async () => {
+		const dir = mkdtempSync(path.join(tmpdir(), 'rtb-deploy-'));
+		let snapshotsAtFirstChange = null;
+		server.fail = (request) => {
+			if (request.method !== 'GET' && !request.path.startsWith('/api/global-parameters/')) {
+				snapshotsAtFirstChange ??= readdirSync(dir).map((name) => readSnapshotSync(path.join(dir, name)));
+			}
+			return false;
+		};
+		try {
+			await deploy(server.url, withChanges(), { ...options, snapshotDir: dir });
+			assert.equal(snapshotsAtFirstChange.length, 1);
+			assert.deepEqual(snapshotsAtFirstChange[0].definitions.queues, copy(valid).queues);
+		} finally {
+			rmSync(dir, { recursive: true });
+		}
+	});
+
+	it('refuses to delete queues in use before changing anything', async () => {
+		server.queues = [{ vhost: 'isolated', name: 'defect_queue', messages: 3, consumers: 0, exclusive: false }];
+		const definitions = copy(valid);
+		definitions.queues = definitions.queues.filter(({ vhost }) => vhost !== 'isolated');
+		await assert.rejects(deploy(server.url, definitions, options), /Deleting or recreating queues in use would lose their messages/);
+		assert.deepEqual(server.requests.filter(({ method }) => method !== 'GET'), []);
+
+		await deploy(server.url, definitions, { ...options, force: true });
+		assert.ok(server.mutations().some(({ method, path }) => method === 'DELETE' && path === '/api/queues/isolated/defect_queue'));
+	});
+
+	it('takes a missing resource for deleted when retrying a deletion', async () => {
+		const { retries, retryDelay } = config.deploy;
+		config.deploy.retryDelay = 0;
+		const definitions = copy(valid);
+		definitions.queues = definitions.queues.filter(({ vhost }) => vhost !== 'isolated');
+		const deletesQueue = ({ method, path }) => method === 'DELETE' && path === '/api/queues/isolated/defect_queue';
+		try {
+			// the first attempt deletes the queue but fails with a server error
+			let attempts = 0;
+			server.fail = (request) => deletesQueue(request) && (++attempts === 1 ? 503 : 404);
+			await deploy(server.url, definitions, { ...options, force: true });
+			assert.equal(attempts, 2);
+			assert.match(console.warn.mock.calls.at(-1).arguments[0], /^Warning: DELETE \/api\/queues\/isolated\/defect_queue found nothing to delete when retried/);
+
+			server.fail = (request) => deletesQueue(request) && 404;
+			await assert.rejects(deploy(server.url, definitions, { ...options, force: true }), (err) => err.status === 404);
+		} finally {
+			Object.assign(config.deploy, { retries, retryDelay });
+		}
+	});
+
+	it('refuses plans exceeding change limits before changing anything', async () => {
+		const limits = { ...config.budget, maxChangesPerType: { queues: 1 } };
+		await assert.rejects(deploy(server.url, withChanges(), { ...options, limits }), /The plan exceeds change limits/);
+		assert.deepEqual(server.requests.filter(({ method }) => method !== 'GET'), []);
+		assert.match(console.error.mock.calls.at(-1).arguments[0], /2 changed queues exceed the maximum of 1/);
+
+		await deploy(server.url, withChanges(), { ...options, limits: { ...limits, maxChangesPerType: { queues: 2 } } });
+		assert.equal(server.mutations().length, 3);
+	});
+});
+
+describe('deployPlan', () => {
+	let server;
+	const options = { skipPreflight: true, snapshotDir: null };
+	const settleDelay = config.lock.settleDelay;
+
+	const makePlan = async () => {
+		const definitions = copy(valid);
+		definitions.queues.push(queue('planned'));
+		return copy(await createPlan(server.url, definitions, { skipPreflight: true }));
+	};
+
+	before(() => {
+		mock.method(console, 'log', () => {});
+		mock.method(console, 'warn', () => {});
+		mock.method(console, 'error', () => {});
+		config.lock.settleDelay = 0;
+	});
+
+	after(() => {
+		mock.reset();
+		config.lock.settleDelay = settleDelay;
+	});
+
+	beforeEach(async () => {
+		server = await startFakeServer(valid);
+	});
+
+	afterEach(() => {
+		server.close();
+	});
+
+	it('deploys the operations in the plan', async () => {
+		await deployPlan(server.url, await makePlan(), options);
+		assert.deepEqual(server.mutations().map(({ method, path }) => `${method} ${path}`), ['PUT /api/queues/%2F/planned']);
+	});
+
+	it('refuses to deploy when the server has changed since the plan was made', async () => {
+		const planFile = await makePlan();
+		server.definitions.queues.push(queue('drifted'));
+		await assert.rejects(deployPlan(server.url, planFile, options), /^Error: Server state has changed since the plan was made at .*\. Make a new plan\.$/);
+		assert.deepEqual(server.mutations(), []);
+		assert.equal(server.requests.some(({ method }) => method !== 'GET'), false);
+	});
+
+	it('makes the requests from the resources in the plan', async () => {
+		const planFile = await makePlan();
+		planFile.operations[0].method = 'DELETE';
+		planFile.operations[0].path = '/api/users/guest';
+		await deployPlan(server.url, planFile, options);
+		assert.deepEqual(server.mutations().map(({ method, path }) => `${method} ${path}`), ['PUT /api/queues/%2F/planned']);
+
+		planFile.operations[0].operation = 'renamed';
+		await assert.rejects(deployPlan(server.url, planFile, options), /Invalid operation "renamed" on type "queues" in the plan file/);
+	});
+});
@@ -2,7 +2,7 @@ import { strict as assert } from 'assert';
 import { describe, it } from 'node:test';
 
 import { copy, readJSONSync } from '../src/utils.js';
-import diff from '../src/diff.js';
+import diff, { listChanges, formatChange } from '../src/diff.js';
 
 const valid = readJSONSync('./fixtures/full.json');
 
@@ -296,4 +296,95 @@ describe('diff', () => {
 		assert.equal(deleted[0].arguments.h1, 'v1');
 		assert.equal(changed.length, 0);
 	});
+	it('catches changes to policies', () => {
+		const before = copy(valid);
+		const after = copy(valid);
+		const policy = {
+			vhost: '/',
+			name: 'changed',
+			pattern: '^defect_',
+			'apply-to': 'queues',
+			definition: { 'message-ttl': 1000 },
+			priority: 0,
+		};
+		before.policies.push(policy, { ...policy, name: 'deleted' });
+		after.policies.push({ ...policy, definition: { 'message-ttl': 2000 } }, { ...policy, name: 'new' });
+		const { added: { policies: added }, deleted: { policies: deleted }, changed: { policies: changed } } = diff(before, after);
+		assert.equal(added.length, 1);
+		assert.equal(added[0].name, 'new');
+		assert.equal(deleted.length, 1);
+		assert.equal(deleted[0].name, 'deleted');
+		assert.equal(changed.length, 1);
+		assert.equal(changed[0].before.definition['message-ttl'], 1000);
+		assert.equal(changed[0].after.definition['message-ttl'], 2000);
+	});
+
+	it('catches changes to parameters', () => {
+		const before = copy(valid);
+		const after = copy(valid);
+		const parameter = {
+			vhost: '/',
+			component: 'federation-upstream',
+			name: 'changed',
+			value: { uri: 'amqp://before' },
+		};
+		before.parameters.push(parameter, { ...parameter, name: 'deleted' });
+		after.parameters.push({ ...parameter, value: { uri: 'amqp://after' } }, { ...parameter, component: 'shovel' });
+		const { added: { parameters: added }, deleted: { parameters: deleted }, changed: { parameters: changed } } = diff(before, after);
+		assert.equal(added.length, 1);
+		assert.equal(added[0].component, 'shovel');
+		assert.equal(deleted.length, 1);
+		assert.equal(deleted[0].name, 'deleted');
+		assert.equal(changed.length, 1);
+		assert.equal(changed[0].before.value.uri, 'amqp://before');
+		assert.equal(changed[0].after.value.uri, 'amqp://after');
+	});
+
+	it('catches changes to global parameters', () => {
+		const before = copy(valid);
+		const after = copy(valid);
+		before.global_parameters.push({ name: 'cluster_name', value: 'before' }, { name: 'deleted', value: 'v' });
+		after.global_parameters.push({ name: 'cluster_name', value: 'after' }, { name: 'new', value: 'v' });
+		const { added: { global_parameters: added }, deleted: { global_parameters: deleted }, changed: { global_parameters: changed } } = diff(before, after);
+		assert.equal(added.length, 1);
+		assert.equal(added[0].name, 'new');
+		assert.equal(deleted.length, 1);
+		assert.equal(deleted[0].name, 'deleted');
+		assert.equal(changed.length, 1);
+		assert.equal(changed[0].before.value, 'before');
+		assert.equal(changed[0].after.value, 'after');
+	});
+
+	it('ignores global parameters managed by the server', () => {
+		const before = copy(valid);
+		const after = copy(valid);
+		after.global_parameters = [];
+		before.global_parameters[0].value = 'another-cluster-id';
+		const { deleted: { global_parameters: deleted }, changed: { global_parameters: changed } } = diff(before, after);
+		assert.equal(deleted.length, 0);
+		assert.equal(changed.length, 0);
+	});
+	it('lists changed properties of changed resources', () => {
+		const before = copy(valid);
+		const after = copy(valid);
+		before.queues[0].arguments = { 'x-message-ttl': 1000, 'x-max-length': 10, 'x-expires': 100 };
+		after.queues[0].arguments = { 'x-message-ttl': 2000, 'x-max-length': 10, 'x-max-priority': 5 };
+		const { changed: { queues: changed } } = diff(before, after);
+		assert.equal(changed.length, 1);
+		assert.deepEqual(changed[0].changes, [
+			{ path: ['arguments', 'x-expires'], before: 100, after: undefined },
+			{ path: ['arguments', 'x-max-priority'], before: undefined, after: 5 },
+			{ path: ['arguments', 'x-message-ttl'], before: 1000, after: 2000 },
+		]);
+	});
+
+	it('compares arrays as values when listing changes', () => {
+		assert.deepEqual(listChanges({ tags: ['a'], name: 'n' }, { tags: ['a', 'b'], name: 'n' }), [
+			{ path: ['tags'], before: ['a'], after: ['a', 'b'] },
+		]);
+		assert.deepEqual(listChanges({ a: { b: 1 } }, { a: 'str' }), [
+			{ path: ['a'], before: { b: 1 }, after: 'str' },
+		]);
+		assert.equal(formatChange({ path: ['arguments', 'x-message-ttl'], before: 1000, after: undefined }), 'arguments.x-message-ttl: 1000 -> undefined');
+	});
 });
@@ -0,0 +1,95 @@
+import { strict as assert } from 'assert';
+import { describe, it, before, after, mock } from 'node:test';
+
+import { copy, readJSONSync } from '../src/utils.js';
+import C from '../src/config.js';
+import { exchangeTypes, getRoutingType } from '../src/exchangeTypes.js';
+import { assertPart } from '../src/structure.js';
+import assertRelations from '../src/relations.js';
+import route from '../src/route.js';
+import { exchange, binding } from './helpers/resources.js';
+
+const valid = readJSONSync('./fixtures/full.json');
+
+const toQueue = (source, routing_key = '', args = {}) => binding(source, 'defect_queue', routing_key, args);
+
+// the configuration comes from the environment set in the test script
+describe('custom exchange types and arguments', () => {
+	before(() => {
+		mock.method(console, 'log', () => {});
+		mock.method(console, 'warn', () => {});
+		mock.method(console, 'error', () => {});
+	});
+
+	after(() => {
+		mock.reset();
+	});
+
+	it('are read from configuration', () => {
+		assert.deepEqual(C.customExchangeTypes, {
+			'x-delayed-message': null,
+			'x-consistent-hash': 'direct',
+			'x-local-random': null,
+		});
+		assert.deepEqual(C.customArguments.queues, [{ name: 'x-custom-limit', type: 'number', values: null }]);
+		assert.deepEqual(C.customArguments.exchanges, [{ name: 'x-delayed-type', type: 'string', values: ['direct', 'topic', 'fanout', 'headers'] }]);
+		assert.ok(exchangeTypes.includes('x-consistent-hash'));
+		assert.ok(exchangeTypes.includes('topic'));
+	});
+
+	it('resolve routing type', () => {
+		assert.equal(getRoutingType(exchange('e', 'topic')), 'topic');
+		assert.equal(getRoutingType(exchange('e', 'x-consistent-hash')), 'direct');
+		assert.equal(getRoutingType(exchange('e', 'x-delayed-message', { 'x-delayed-type': 'fanout' })), 'fanout');
+		assert.equal(getRoutingType(exchange('e', 'x-local-random')), null);
+		assert.equal(getRoutingType(exchange('e', 'unknown')), null);
+	});
+
+	it('pass structure validation', () => {
+		assertPart('exchanges', [
+			exchange('e1', 'x-delayed-message', { 'x-delayed-type': 'topic' }),
+			exchange('e2', 'x-consistent-hash'),
+		]);
+		assertPart('queues', [{ name: 'q', vhost: '/', durable: true, auto_delete: false, arguments: { 'x-custom-limit': 5 } }]);
+
+		assert.throws(() => {
+			assertPart('exchanges', [exchange('e', 'x-unknown')]);
+		});
+		assert.throws(() => {
+			assertPart('exchanges', [exchange('e', 'x-delayed-message', { 'x-delayed-type': 'other' })]);
+		});
+		assert.throws(() => {
+			assertPart('queues', [{ name: 'q', vhost: '/', durable: true, auto_delete: false, arguments: { 'x-custom-limit': '5' } }]);
+		});
+	});
+
+	it('are checked like the type they route like', () => {
+		const def = copy(valid);
+		def.exchanges.push(exchange('hash', 'x-consistent-hash'), exchange('delayed', 'x-delayed-message', { 'x-delayed-type': 'fanout' }), exchange('random', 'x-local-random'));
+		def.bindings.push(toQueue('hash', '10'), toQueue('random', 'anything', { 'x-match': 'all' }));
+		assertRelations(def);
+
+		def.bindings.push(toQueue('hash', '10', { 'x-match': 'all' }));
+		assert.throws(() => {
+			assertRelations(def);
+		}, /Match arguments are ignored for x-consistent-hash exchanges/);
+
+		def.bindings.pop();
+		def.bindings.push(toQueue('delayed', 'key'));
+		assert.throws(() => {
+			assertRelations(def);
+		}, /Routing key is ignored for x-delayed-message exchanges/);
+	});
+
+	it('are routed like the type they route like', () => {
+		const def = copy(valid);
+		def.exchanges.push(exchange('delayed', 'x-delayed-message', { 'x-delayed-type': 'topic' }), exchange('random', 'x-local-random'));
+		def.bindings.push(toQueue('delayed', 'a.*'), toQueue('random'));
+
+		assert.equal(route(def, { vhost: '/', exchange: 'delayed', routingKey: 'a.b' }).queues.length, 1);
+		assert.equal(route(def, { vhost: '/', exchange: 'delayed', routingKey: 'b.b' }).dropped, true);
+		assert.throws(() => {
+			route(def, { vhost: '/', exchange: 'random' });
+		}, /not supported/);
+	});
+});
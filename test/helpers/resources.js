@@ -0,0 +1,9 @@
+// Resources in the "/" vhost to add to definitions in tests
+
+export const exchange = (name, type, args = {}, extra = {}) => ({ name, vhost: '/', type, durable: true, auto_delete: false, internal: false, arguments: args, ...extra });
+
+export const queue = (name, args = {}) => ({ name, vhost: '/', durable: true, auto_delete: false, arguments: args });
+
+export const binding = (source, destination, routing_key = '', args = {}, destination_type = 'queue') => ({ source, vhost: '/', destination, destination_type, routing_key, arguments: args });
+
+export const exchangeBinding = (source, destination, routing_key = '') => binding(source, destination, routing_key, {}, 'exchange');
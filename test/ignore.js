@@ -8,6 +8,9 @@ const I = {
 	user: 'ignored-user',
 	exchange: 'ignored-exchange',
 	queue: 'ignored-queue',
+	policy: 'ignored-policy',
+	component: 'ignored-component',
+	parameter: 'ignored-parameter',
 };
 
 const NI = {
@@ -15,6 +18,9 @@ const NI = {
 	user: 'not-ignored-user',
 	exchange: 'not-ignored-exchange',
 	queue: 'not-ignored-queue',
+	policy: 'not-ignored-policy',
+	component: 'not-ignored-component',
+	parameter: 'not-ignored-parameter',
 };
 
 describe('ignore', () => {
@@ -94,4 +100,29 @@ describe('ignore', () => {
 		assert.ok(!isIgnored.permissions(index, { vhost: NI.vhost, user: NI.user }));
 		assert.ok(!isIgnored.topic_permissions(index, { vhost: NI.vhost, exchange: NI.exchange, user: NI.user }));
 	});
+	it('ignores policies and parameters', () => {
+		const index = Index.fromIgnoreList([
+			`/policies/${NI.vhost}/${I.policy}`,
+			`/parameters/${I.component}/${NI.vhost}/${I.parameter}`,
+			`/global-parameters/${I.parameter}`,
+		]);
+
+		assert.ok(isIgnored.policies(index, { vhost: NI.vhost, name: I.policy }));
+		assert.ok(isIgnored.parameters(index, { component: I.component, vhost: NI.vhost, name: I.parameter }));
+		assert.ok(isIgnored.global_parameters(index, { name: I.parameter }));
+
+		assert.ok(!isIgnored.policies(index, { vhost: NI.vhost, name: NI.policy }));
+		assert.ok(!isIgnored.parameters(index, { component: NI.component, vhost: NI.vhost, name: I.parameter }));
+		assert.ok(!isIgnored.global_parameters(index, { name: NI.parameter }));
+	});
+
+	it('ignores policies and parameters in an ignored vhost', () => {
+		const index = Index.fromIgnoreList([
+			`/vhosts/${I.vhost}`,
+		]);
+
+		assert.ok(isIgnored.policies(index, { vhost: I.vhost, name: NI.policy }));
+		assert.ok(isIgnored.parameters(index, { component: NI.component, vhost: I.vhost, name: NI.parameter }));
+		assert.ok(!isIgnored.global_parameters(index, { name: NI.parameter }));
+	});
 });
@@ -2,7 +2,7 @@ import { strict as assert } from 'assert';
 import { describe, it } from 'node:test';
 
 import { copy, readJSONSync } from '../src/utils.js';
-import Index from '../src/Index.js';
+import Index, { detectResourceType } from '../src/Index.js';
 
 const valid = readJSONSync('./fixtures/full.json');
 
@@ -17,6 +17,17 @@ describe('index', () => {
 		);
 	});
 
+	it('detects the type of resources', () => {
+		for (const type of ['vhosts', 'users', 'permissions', 'topic_permissions', 'global_parameters', 'queues', 'exchanges', 'bindings']) {
+			for (const resource of valid[type]) {
+				assert.equal(detectResourceType(resource), type);
+			}
+		}
+		// users have a name like vhosts
+		assert.equal(detectResourceType({ name: 'admin', password_hash: '', hashing_algorithm: 'rabbit_password_hashing_sha256', tags: [] }), 'users');
+		assert.equal(detectResourceType({ name: 'admin' }), 'vhosts');
+	});
+
 	describe('merge', () => {
 		it('merges resources from definitions file', () => {
 			const SOURCE1 = 'SOURCE1';
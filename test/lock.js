@@ -0,0 +1,102 @@
+import { strict as assert } from 'assert';
+import { describe, it, before, after, mock } from 'node:test';
+
+import { copy, readJSONSync } from '../src/utils.js';
+import diff from '../src/diff.js';
+import { fingerprint } from '../src/planFile.js';
+import { lockParameter, isExpired, readLock, acquireLock, releaseLock, breakLock } from '../src/lock.js';
+
+const valid = readJSONSync('./fixtures/full.json');
+
+// keeps the lock in memory, `onPut` runs after every write
+const fakeClient = (lock = null, onPut = () => {}) => {
+	const client = {
+		parameter: lock && { name: lockParameter, value: lock },
+		requestGlobalParameter: async (name) => {
+			assert.equal(name, lockParameter);
+			return client.parameter;
+		},
+		request: async (method, path, body) => {
+			assert.equal(path, `/api/global-parameters/${lockParameter}`);
+			if (method === 'PUT') {
+				client.parameter = body;
+				onPut(client);
+			} else {
+				assert.equal(method, 'DELETE');
+				client.parameter = null;
+			}
+			return '';
+		},
+	};
+	return client;
+};
+
+const otherLock = (startedAt = new Date().toISOString()) => ({ id: 'other', owner: 'ci', host: 'runner', pid: 1, startedAt, ttl: 60000 });
+
+describe('lock', () => {
+	before(() => {
+		mock.method(console, 'warn', () => {});
+	});
+
+	after(() => {
+		mock.reset();
+	});
+
+	it('takes and releases the lock', async () => {
+		const client = fakeClient();
+		const lock = await acquireLock(client, { owner: 'me', ttl: 1000, settleDelay: 0 });
+		assert.deepEqual(await readLock(client), lock);
+		assert.deepEqual(Object.keys(lock).sort(), ['host', 'id', 'owner', 'pid', 'startedAt', 'ttl']);
+		assert.equal(lock.owner, 'me');
+		assert.equal(lock.pid, process.pid);
+		assert.equal(isExpired(lock), false);
+		assert.equal(isExpired(lock, Date.parse(lock.startedAt) + 1000), true);
+
+		await releaseLock(client, lock);
+		assert.equal(await readLock(client), null);
+	});
+
+	it('refuses to take a lock held by another deployment', async () => {
+		const client = fakeClient(otherLock());
+		await assert.rejects(acquireLock(client, { ttl: 1000, settleDelay: 0 }), /^Error: Server is locked by "ci" on runner\(pid 1\) since .*, expiring at .*lock break subcommand\.$/);
+		assert.equal((await readLock(client)).id, 'other');
+	});
+
+	it('takes over expired locks', async () => {
+		const client = fakeClient(otherLock('2020-01-01T00:00:00.000Z'));
+		const lock = await acquireLock(client, { ttl: 1000, settleDelay: 0 });
+		assert.notEqual(lock.id, 'other');
+		assert.match(console.warn.mock.calls.at(-1).arguments[0], /^Warning: Taking over the expired lock of "ci"/);
+	});
+
+	it('fails when another deployment takes the lock at the same time', async () => {
+		const client = fakeClient(null, (self) => {
+			self.parameter = { name: lockParameter, value: otherLock() };
+		});
+		await assert.rejects(acquireLock(client, { ttl: 1000, settleDelay: 0 }), /Lost the lock to "ci"/);
+	});
+
+	it('does not release locks taken over since', async () => {
+		const client = fakeClient();
+		const lock = await acquireLock(client, { ttl: 1000, settleDelay: 0 });
+		client.parameter = { name: lockParameter, value: otherLock() };
+		await releaseLock(client, lock);
+		assert.equal((await readLock(client)).id, 'other');
+		assert.match(console.warn.mock.calls.at(-1).arguments[0], /taken over by "ci"/);
+	});
+
+	it('breaks locks', async () => {
+		const client = fakeClient(otherLock());
+		assert.equal((await breakLock(client)).id, 'other');
+		assert.equal(await readLock(client), null);
+		assert.equal(await breakLock(client), null);
+	});
+
+	it('leaves the lock out of diffs and fingerprints', () => {
+		const locked = copy(valid);
+		locked.global_parameters.push({ name: lockParameter, value: otherLock() });
+		assert.deepEqual(diff(valid, locked).added.global_parameters, []);
+		assert.deepEqual(diff(locked, valid).deleted.global_parameters, []);
+		assert.equal(fingerprint(locked), fingerprint(valid));
+	});
+});
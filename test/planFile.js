@@ -0,0 +1,94 @@
+import { strict as assert } from 'assert';
+import { describe, it, before, after, mock } from 'node:test';
+
+import { copy, readJSONSync } from '../src/utils.js';
+import diff from '../src/diff.js';
+import { planDeploy } from '../src/deploy.js';
+import { fingerprint, toPlanFile, assertPlanFile } from '../src/planFile.js';
+
+const valid = readJSONSync('./fixtures/full.json');
+
+const getPlanFile = () => {
+	const after = copy(valid);
+	after.queues.push({ name: 'new', vhost: 'isolated', durable: true, auto_delete: false, arguments: {} });
+	const plan = planDeploy(diff(valid, after));
+	return copy(toPlanFile(plan, { server: 'http://localhost:15672/', fingerprint: fingerprint(valid), definitions: after }));
+};
+
+describe('planFile', () => {
+	before(() => {
+		mock.method(console, 'warn', () => {});
+	});
+
+	after(() => {
+		mock.reset();
+	});
+
+	describe('fingerprint', () => {
+		it('does not depend on the order of resources or properties', () => {
+			const reordered = copy(valid);
+			reordered.queues.reverse();
+			reordered.exchanges.reverse();
+			reordered.users = reordered.users.map((user) => Object.fromEntries(Object.entries(user).reverse()));
+			assert.equal(fingerprint(reordered), fingerprint(valid));
+		});
+
+		it('does not depend on metadata', () => {
+			const upgraded = copy(valid);
+			upgraded.rabbit_version = '99.0.0';
+			assert.equal(fingerprint(upgraded), fingerprint(valid));
+		});
+
+		it('changes when the server state changes', () => {
+			const changed = copy(valid);
+			changed.queues[0].arguments = { 'x-message-ttl': 1 };
+			assert.notEqual(fingerprint(changed), fingerprint(valid));
+
+			const deleted = copy(valid);
+			deleted.bindings.pop();
+			assert.notEqual(fingerprint(deleted), fingerprint(valid));
+		});
+
+		it('ignores resources in the ignore list', () => {
+			const ignoreList = ['/queues/isolated/dynamic'];
+			const withDynamic = copy(valid);
+			withDynamic.queues.push({ name: 'dynamic', vhost: 'isolated', durable: false, auto_delete: true, arguments: {} });
+			assert.notEqual(fingerprint(withDynamic), fingerprint(valid));
+			assert.equal(fingerprint(withDynamic, ignoreList), fingerprint(valid, ignoreList));
+		});
+	});
+
+	describe('assertPlanFile', () => {
+		it('accepts plan files', () => {
+			const planFile = getPlanFile();
+			assertPlanFile(planFile);
+			assert.equal(planFile.operations.length, 1);
+			assert.deepEqual(planFile.options, { noDeletions: false, recreateChanged: false });
+			assert.equal(planFile.scope, null);
+		});
+
+		it('rejects invalid plan files', () => {
+			assert.throws(() => assertPlanFile(null), /object/);
+			assert.throws(() => assertPlanFile({ ...getPlanFile(), version: 2 }), /version: 2/);
+			assert.throws(() => assertPlanFile({ ...getPlanFile(), fingerprint: 'abc' }), /fingerprint/);
+			assert.throws(() => assertPlanFile({ ...getPlanFile(), definitions: undefined }), /definitions/);
+			assert.throws(() => assertPlanFile({ ...getPlanFile(), scope: undefined }), /scope/);
+
+			const invalidMethod = getPlanFile();
+			invalidMethod.operations[0].method = 'PATCH';
+			assert.throws(() => assertPlanFile(invalidMethod), /method/);
+
+			assert.throws(() => assertPlanFile({ ...getPlanFile(), scope: { vhosts: [], only: ['queue'], except: [] } }), /resource type/);
+
+			const invalidPath = getPlanFile();
+			invalidPath.operations[0].path = 'http://elsewhere/api/queues';
+			assert.throws(() => assertPlanFile(invalidPath), /API path/);
+		});
+
+		it('rejects operations out of order', () => {
+			const planFile = getPlanFile();
+			planFile.operations.push({ ...planFile.operations[0], step: 0 });
+			assert.throws(() => assertPlanFile(planFile), /ordered by step/);
+		});
+	});
+});
@@ -0,0 +1,94 @@
+import { strict as assert } from 'assert';
+import { describe, it, before, after, mock } from 'node:test';
+
+import { copy, readJSONSync } from '../src/utils.js';
+import diff from '../src/diff.js';
+import { planDeploy } from '../src/deploy.js';
+import { isVersionFar, checkPreflight } from '../src/preflight.js';
+import config from '../src/config.js';
+
+const valid = readJSONSync('./fixtures/full.json');
+
+const server = {
+	overview: { rabbitmq_version: valid.rabbit_version },
+	featureFlags: [{ name: 'quorum_queue', state: 'enabled' }, { name: 'stream_queue', state: 'disabled' }],
+	whoami: { name: 'guest', tags: ['administrator'] },
+	alarms: { status: 'ok' },
+};
+
+// definitions adding a vhost with a quorum queue
+const getDefinitions = () => {
+	const definitions = copy(valid);
+	definitions.vhosts.push({ name: 'new' });
+	definitions.queues.push({ name: 'work', vhost: 'new', durable: true, auto_delete: false, arguments: { 'x-queue-type': 'quorum' } });
+	definitions.permissions.push({ user: 'guest', vhost: 'new', configure: '.*', write: '.*', read: '.*' });
+	return definitions;
+};
+
+const check = (definitions, overrides = {}, options = {}) => {
+	return checkPreflight(definitions, planDeploy(diff(valid, definitions)).operations, { ...server, ...overrides }, options);
+};
+
+describe('preflight', () => {
+	before(() => {
+		mock.method(console, 'warn', () => {});
+	});
+
+	after(() => {
+		mock.reset();
+	});
+
+	it('compares versions', () => {
+		assert.equal(isVersionFar('3.12.13', '3.12.14'), false);
+		assert.equal(isVersionFar('3.12.13', '3.13.0'), false);
+		assert.equal(isVersionFar('3.11.2', '3.13.0'), true);
+		assert.equal(isVersionFar('3.13.7', '4.0.2'), true);
+		assert.equal(isVersionFar(undefined, '3.13.0'), false);
+		assert.equal(isVersionFar('3.11.2', '3.13.0', 2), false);
+		assert.equal(isVersionFar('3.12.13', '3.13.0', 0), true);
+	});
+
+	it('passes when the server is ready', () => {
+		assert.deepEqual(check(getDefinitions()), []);
+	});
+
+	it('fails if queues need a disabled feature flag', () => {
+		const definitions = getDefinitions();
+		definitions.queues.at(-1).arguments['x-queue-type'] = 'stream';
+		assert.deepEqual(check(definitions), ['Definitions have stream queues but the stream_queue feature flag is disabled on the server']);
+		// flags always enabled on newer servers are not listed
+		assert.deepEqual(check(definitions, { featureFlags: [] }), []);
+	});
+
+	it('fails if the definitions are for a server version further apart than the maximum drift', () => {
+		const failed = check(getDefinitions(), { overview: { rabbitmq_version: '4.0.2' } }, { maxMinorVersionDrift: 1 });
+		assert.match(failed[0], /^Definitions are for RabbitMQ .* but the server runs 4.0.2$/);
+		const [major, minor] = valid.rabbit_version.split('.').map(Number);
+		const twoMinorsApart = { overview: { rabbitmq_version: `${major}.${minor + 2}.0` } };
+		assert.equal(check(getDefinitions(), twoMinorsApart, { maxMinorVersionDrift: 1 }).length, 1);
+		assert.deepEqual(check(getDefinitions(), twoMinorsApart, { maxMinorVersionDrift: 2 }), []);
+	});
+
+	it('only warns about a different server version without a maximum drift', () => {
+		assert.equal(config.preflight.maxMinorVersionDrift, null);
+		assert.deepEqual(check(getDefinitions(), { overview: { rabbitmq_version: '4.0.2' } }), []);
+		assert.match(console.warn.mock.calls.at(-1).arguments[0], /^Warning: Definitions are for RabbitMQ .* but the server runs 4.0.2\. Set RTB_MAX_MINOR_VERSION_DRIFT to refuse deploying them\.$/);
+	});
+
+	it('fails if the user is not an administrator', () => {
+		assert.deepEqual(check(getDefinitions(), { whoami: { name: 'guest', tags: ['monitoring'] } }), ['User "guest" lacks the administrator tag']);
+		assert.deepEqual(check(getDefinitions(), { whoami: { name: 'guest', tags: 'administrator' } }), []);
+	});
+
+	it('fails if the user lacks permissions for added vhosts', () => {
+		const definitions = getDefinitions();
+		definitions.permissions.pop();
+		assert.deepEqual(check(definitions), ['User "guest" lacks permissions for the added vhost "new" in the definitions']);
+	});
+
+	it('fails if alarms are active', () => {
+		const alarms = { status: 'failed', reason: 'resource alarm(s) in effect in the cluster' };
+		assert.deepEqual(check(getDefinitions(), { alarms }), ['Alarms are active on the server: resource alarm(s) in effect in the cluster']);
+		assert.deepEqual(check(getDefinitions(), { alarms: null }), []);
+	});
+});
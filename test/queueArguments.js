@@ -0,0 +1,97 @@
+import { strict as assert } from 'assert';
+import { describe, it } from 'node:test';
+
+import { copy, readJSONSync } from '../src/utils.js';
+import assertQueueArguments, { validateQueueArguments } from '../src/queueArguments.js';
+import { assertPart } from '../src/structure.js';
+
+const valid = readJSONSync('./fixtures/full.json');
+
+const withQueue = (queue, vhost = { name: '/' }) => {
+	const def = copy(valid);
+	def.vhosts = def.vhosts.filter(({ name }) => name !== vhost.name).concat(vhost);
+	def.queues.push({ name: 'q', vhost: vhost.name, durable: true, auto_delete: false, ...queue });
+	return def;
+};
+
+describe('asserting queue arguments', () => {
+	it('passes valid definitions', () => {
+		assertQueueArguments(copy(valid));
+		assertQueueArguments(withQueue({ arguments: { 'x-queue-type': 'quorum', 'x-delivery-limit': 5, 'x-quorum-initial-group-size': 3, 'x-overflow': 'reject-publish' } }));
+		assertQueueArguments(withQueue({ arguments: { 'x-queue-type': 'stream', 'x-max-age': '7D', 'x-stream-max-segment-size-bytes': 1000 } }));
+		assertQueueArguments(withQueue({ arguments: { 'x-max-priority': 10, 'x-queue-mode': 'lazy', 'x-overflow': 'reject-publish-dlx' } }));
+	});
+
+	it('new arguments pass structure validation', () => {
+		assertPart('queues', withQueue({ arguments: { 'x-queue-type': 'quorum', 'x-delivery-limit': 5, 'x-quorum-initial-group-size': 3 } }).queues);
+		assertPart('queues', withQueue({ arguments: { 'x-queue-type': 'stream', 'x-max-age': '7D', 'x-stream-max-segment-size-bytes': 1000 } }).queues);
+		assertPart('vhosts', [{ name: '/', default_queue_type: 'quorum' }]);
+	});
+
+	it('throws on unknown queue type', () => {
+		assert.throws(() => {
+			assertQueueArguments(withQueue({ arguments: { 'x-queue-type': 'fancy' } }));
+		}, /unknown queue type "fancy"/i);
+	});
+
+	it('throws on arguments for other queue types', () => {
+		assert.throws(() => {
+			assertQueueArguments(withQueue({ arguments: { 'x-delivery-limit': 5 } }));
+		}, /"x-delivery-limit" is not supported by classic queue "q"/);
+		assert.throws(() => {
+			assertQueueArguments(withQueue({ arguments: { 'x-queue-type': 'quorum', 'x-max-priority': 5 } }));
+		}, /"x-max-priority" is not supported by quorum queue "q"/);
+		assert.throws(() => {
+			assertQueueArguments(withQueue({ arguments: { 'x-queue-type': 'stream', 'x-queue-mode': 'lazy' } }));
+		}, /"x-queue-mode" is not supported by stream queue "q"/);
+		assert.throws(() => {
+			assertQueueArguments(withQueue({ arguments: { 'x-max-age': '1D' } }));
+		}, /"x-max-age" is not supported by classic queue "q"/);
+	});
+
+	it('throws on replicated queues that are not durable or are auto-deleted', () => {
+		assert.throws(() => {
+			assertQueueArguments(withQueue({ durable: false, arguments: { 'x-queue-type': 'quorum' } }));
+		}, /quorum queue "q".*durable/);
+		assert.throws(() => {
+			assertQueueArguments(withQueue({ auto_delete: true, arguments: { 'x-queue-type': 'stream' } }));
+		}, /stream queue "q".*auto-deleted/);
+		assertQueueArguments(withQueue({ durable: false, auto_delete: true }));
+	});
+
+	it('throws on invalid values', () => {
+		assert.throws(() => {
+			assertQueueArguments(withQueue({ arguments: { 'x-overflow': 'drop-tail' } }));
+		}, /"x-overflow"/);
+		assert.throws(() => {
+			assertQueueArguments(withQueue({ arguments: { 'x-queue-type': 'quorum', 'x-overflow': 'reject-publish-dlx' } }));
+		}, /"x-overflow" of quorum/);
+		assert.throws(() => {
+			assertQueueArguments(withQueue({ arguments: { 'x-max-priority': 256 } }));
+		}, /"x-max-priority".*between 1 and 255/);
+		assert.throws(() => {
+			assertQueueArguments(withQueue({ arguments: { 'x-max-priority': 0 } }));
+		}, /"x-max-priority"/);
+		assert.throws(() => {
+			assertQueueArguments(withQueue({ arguments: { 'x-queue-type': 'stream', 'x-max-age': '7 days' } }));
+		}, /"x-max-age"/);
+	});
+
+	it('respects default queue type of the vhost', () => {
+		const quorumByDefault = { name: '/', default_queue_type: 'quorum' };
+		assertQueueArguments(withQueue({ arguments: { 'x-delivery-limit': 5 } }, quorumByDefault));
+		assert.throws(() => {
+			assertQueueArguments(withQueue({ arguments: { 'x-max-priority': 5 } }, quorumByDefault));
+		}, /quorum queue "q"/);
+		assert.throws(() => {
+			assertQueueArguments(withQueue({ durable: false }, { name: '/', metadata: { description: '', tags: [], default_queue_type: 'stream' } }));
+		}, /stream queue "q"/);
+		// explicit type wins over the vhost default
+		assertQueueArguments(withQueue({ arguments: { 'x-queue-type': 'classic', 'x-max-priority': 5 } }, quorumByDefault));
+	});
+
+	it('collects all failures', () => {
+		const failures = validateQueueArguments(withQueue({ durable: false, arguments: { 'x-queue-type': 'quorum', 'x-max-priority': 5, 'x-delivery-limit': -1 } }));
+		assert.equal(failures.length, 3);
+	});
+});
@@ -0,0 +1,77 @@
+import { strict as assert } from 'assert';
+import { describe, it, before, after, mock } from 'node:test';
+
+import { copy, readJSONSync } from '../src/utils.js';
+import diff from '../src/diff.js';
+import { planDeploy } from '../src/deploy.js';
+import { findQueuesInUse, formatQueueTable } from '../src/queueGuard.js';
+
+const valid = readJSONSync('./fixtures/full.json');
+
+const stats = (vhost, name, rest) => ({ vhost, name, messages: 0, consumers: 0, exclusive: false, ...rest });
+
+const getOperations = () => {
+	const after = copy(valid);
+	// recreate the queue in "/" and delete the one in "isolated"
+	after.queues[0].arguments = { 'x-message-ttl': 1000 };
+	after.queues = after.queues.filter(({ vhost }) => vhost !== 'isolated');
+	after.bindings = after.bindings.filter(({ vhost }) => vhost !== 'isolated');
+	return planDeploy(diff(valid, after), { recreateChanged: true }).operations;
+};
+
+describe('queueGuard', () => {
+	before(() => {
+		mock.method(console, 'warn', () => {});
+	});
+
+	after(() => {
+		mock.reset();
+	});
+
+	it('finds deleted and recreated queues in use', () => {
+		const inUse = findQueuesInUse(getOperations(), [
+			stats('/', 'defect_queue', { messages: 10 }),
+			stats('isolated', 'defect_queue', { consumers: 2 }),
+		]);
+		assert.deepEqual(inUse.map(({ queue, operation }) => [queue.vhost, operation]), [['/', 'recreate'], ['isolated', 'delete']]);
+	});
+
+	it('ignores empty queues', () => {
+		assert.deepEqual(findQueuesInUse(getOperations(), [stats('/', 'defect_queue'), stats('isolated', 'defect_queue')]), []);
+	});
+
+	it('considers queues missing from the queue list in use', () => {
+		const inUse = findQueuesInUse(getOperations(), [stats('/', 'defect_queue')]);
+		assert.deepEqual(inUse.map(({ queue, stats }) => [queue.vhost, stats]), [['isolated', {}]]);
+		assert.equal(formatQueueTable(inUse).split('\n')[1], 'isolated  defect_queue  delete     ?         ?          -');
+	});
+
+	it('considers exclusive queues and queues without stats in use', () => {
+		const inUse = findQueuesInUse(getOperations(), [
+			stats('/', 'defect_queue', { exclusive: true }),
+			{ vhost: 'isolated', name: 'defect_queue' },
+		]);
+		assert.equal(inUse.length, 2);
+	});
+
+	it('allows queues in the allow list', () => {
+		const queueStats = [
+			stats('/', 'defect_queue', { messages: 10 }),
+			stats('isolated', 'defect_queue', { messages: 10 }),
+		];
+		assert.deepEqual(findQueuesInUse(getOperations(), queueStats, ['/queues/%2F/defect_queue']).map(({ queue }) => queue.vhost), ['isolated']);
+		assert.deepEqual(findQueuesInUse(getOperations(), queueStats, ['/vhosts/isolated']).map(({ queue }) => queue.vhost), ['/']);
+	});
+
+	it('formats a table', () => {
+		const inUse = findQueuesInUse(getOperations(), [
+			stats('/', 'defect_queue', { messages: 10, exclusive: true, owner_pid_details: { name: '127.0.0.1:5000 -> 127.0.0.1:5672' } }),
+			{ vhost: 'isolated', name: 'defect_queue' },
+		]);
+		assert.equal(formatQueueTable(inUse), [
+			'vhost     queue         operation  messages  consumers  exclusive owner',
+			'/         defect_queue  recreate   10        0          127.0.0.1:5000 -> 127.0.0.1:5672',
+			'isolated  defect_queue  delete     ?         ?          -',
+		].join('\n'));
+	});
+});
@@ -3,6 +3,7 @@ import { describe, it, before, after, mock } from 'node:test';
 
 import { copy, readJSONSync } from '../src/utils.js';
 import assertRelations from '../src/relations.js';
+import { queue } from './helpers/resources.js';
 
 const valid = readJSONSync('./fixtures/full.json');
 
@@ -180,4 +181,91 @@ describe('asserting relations', () => {
 			assertRelations(def);
 		}, /missing.*destination.*queue/i);
 	});
+	describe('dead-letter and alternate exchanges', () => {
+		const policy = (definition) => ({ vhost: '/', name: 'dlx', pattern: '^dlx-', 'apply-to': 'queues', definition, priority: 0 });
+		const droppedWarnings = (warn) => warn.mock.calls.filter(({ arguments: [msg] }) => /dead-lettered.*dropped/.test(msg));
+
+		it('dead-letter exchange is missing', () => {
+			const def = copy(valid);
+			def.queues.push(queue('dlx-source', { 'x-dead-letter-exchange': 'missing' }));
+
+			assert.throws(() => {
+				assertRelations(def);
+			}, /missing exchange "missing".*dead-letter exchange by queue "dlx-source"/i);
+		});
+
+		it('alternate exchange is missing', () => {
+			const def = copy(valid);
+			def.exchanges[0].arguments['alternate-exchange'] = 'missing';
+
+			assert.throws(() => {
+				assertRelations(def);
+			}, /missing exchange "missing".*alternate exchange by exchange/i);
+		});
+
+		it('exchanges in policies are missing', () => {
+			const def = copy(valid);
+			def.policies.push(policy({ 'dead-letter-exchange': 'missing' }));
+
+			assert.throws(() => {
+				assertRelations(def);
+			}, /missing exchange "missing".*dead-letter exchange by policy "dlx"/i);
+
+			def.policies[0].definition = { 'alternate-exchange': 'missing' };
+			def.policies[0]['apply-to'] = 'exchanges';
+			assert.throws(() => {
+				assertRelations(def);
+			}, /missing exchange "missing".*alternate exchange by policy "dlx"/i);
+		});
+
+		it('default exchange is a valid dead-letter exchange', () => {
+			const def = copy(valid);
+			def.queues.push(queue('dlx-source', { 'x-dead-letter-exchange': '', 'x-dead-letter-routing-key': 'defect_queue' }));
+			const warn = mock.method(console, 'warn', () => {});
+
+			assertRelations(def);
+			assert.equal(droppedWarnings(warn).length, 0);
+		});
+
+		it('warns if dead-lettered messages are dropped', () => {
+			const def = copy(valid);
+			def.bindings.push({ source: 'defect_direct', vhost: '/', destination: 'defect_queue', destination_type: 'queue', routing_key: 'dead', arguments: {} });
+			def.queues.push(queue('dlx-routed', { 'x-dead-letter-exchange': 'defect_direct', 'x-dead-letter-routing-key': 'dead' }));
+			def.queues.push(queue('dlx-dropped', { 'x-dead-letter-exchange': 'defect_direct', 'x-dead-letter-routing-key': 'alive' }));
+			const warn = mock.method(console, 'warn', () => {});
+
+			assertRelations(def);
+			const warnings = droppedWarnings(warn);
+			assert.equal(warnings.length, 1);
+			assert.match(warnings[0].arguments[0], /dlx-dropped.*"alive"/);
+		});
+
+		it('uses dead-letter configuration from policies and original routing keys', () => {
+			const def = copy(valid);
+			def.policies.push(policy({ 'dead-letter-exchange': 'defect_direct' }));
+			def.queues.push(queue('dlx-policy'));
+			const warn = mock.method(console, 'warn', () => {});
+
+			assertRelations(def);
+			const warnings = droppedWarnings(warn);
+			assert.equal(warnings.length, 1);
+			assert.match(warnings[0].arguments[0], /dlx-policy.*"defect_direct" with routing key\(s\) "dlx-policy"/);
+		});
+
+		it('only checks original routing keys known from the bindings', () => {
+			const def = copy(valid);
+			def.queues.push(queue('dlx-pattern', { 'x-dead-letter-exchange': 'defect_direct' }));
+			def.queues.push(queue('dlx-key', { 'x-dead-letter-exchange': 'defect_direct' }));
+			def.bindings.push(
+				{ source: 'defect_topic', vhost: '/', destination: 'dlx-pattern', destination_type: 'queue', routing_key: 'orders.#', arguments: {} },
+				{ source: 'defect_topic', vhost: '/', destination: 'dlx-key', destination_type: 'queue', routing_key: 'orders.created', arguments: {} },
+			);
+			const warn = mock.method(console, 'warn', () => {});
+
+			assertRelations(def);
+			const warnings = droppedWarnings(warn);
+			assert.equal(warnings.length, 1);
+			assert.match(warnings[0].arguments[0], /dlx-key.*with routing key\(s\) "orders.created"/);
+		});
+	});
 });
@@ -0,0 +1,69 @@
+import { strict as assert } from 'assert';
+import { describe, it, before, after, mock } from 'node:test';
+
+import { copy, readJSONSync } from '../src/utils.js';
+import diff from '../src/diff.js';
+import { planDeploy } from '../src/deploy.js';
+import renderPlan, { summarize } from '../src/renderPlan.js';
+
+const valid = readJSONSync('./fixtures/full.json');
+
+const getPlan = (options = { recreateChanged: true }) => {
+	const before = copy(valid);
+	const after = copy(valid);
+	after.queues[0].arguments = { 'x-message-ttl': 1000 };
+	after.users[0].tags = [];
+	after.queues.push({ name: 'new', vhost: 'isolated', durable: true, auto_delete: false });
+	after.exchanges = after.exchanges.filter(({ name }) => name !== 'defect_topic');
+	return planDeploy(diff(before, after), options);
+};
+
+describe('renderPlan', () => {
+	before(() => {
+		mock.method(console, 'warn', () => {});
+	});
+
+	after(() => {
+		mock.reset();
+	});
+
+	it('renders one line per resource grouped by vhost', () => {
+		assert.equal(renderPlan(getPlan()), [
+			'vhost "isolated":',
+			'  + queue "new"',
+			'',
+			'global:',
+			'  ~ user "guest"',
+			'      tags: [ \'administrator\' ] -> []',
+			'',
+			'vhost "/":',
+			'-/+ queue "defect_queue"',
+			'      arguments.x-message-ttl: undefined -> 1000',
+			'-/+ binding exchange "defect_headers" -> queue "defect_queue" (routing key "", arguments x-match=any) (recreated with the replaced exchange or queue)',
+			'  - exchange "defect_topic" (topic)',
+			'',
+			'Plan: 1 to add, 1 to change, 2 to replace, 1 to destroy.',
+		].join('\n'));
+	});
+
+	it('renders ignored changes', () => {
+		const rendered = renderPlan(getPlan({ noDeletions: true }));
+		assert.match(rendered, /Ignored changes, not deployed:\nvhost "\/":\n {2}~ queue "defect_queue"\n.*\n {2}- exchange "defect_topic"/);
+		assert.match(rendered, /Plan: 1 to add, 1 to change, 0 to replace, 0 to destroy. 2 ignored.$/);
+	});
+
+	it('renders markdown', () => {
+		const rendered = renderPlan(getPlan(), { format: 'markdown' });
+		assert.match(rendered, /#### vhost "isolated"\n\n```diff\n\+ {3}queue "new"\n```/);
+		assert.match(rendered, /\*\*Plan: 1 to add, 1 to change, 2 to replace, 1 to destroy.\*\*$/);
+	});
+
+	it('renders empty plans', () => {
+		assert.equal(renderPlan({ operations: [], ignored: [] }), 'No changes.');
+		assert.equal(summarize({ operations: [] }), 'Plan: 0 to add, 0 to change, 0 to replace, 0 to destroy.');
+	});
+
+	it('throws on unknown format', () => {
+		assert.throws(() => renderPlan(getPlan(), { format: 'html' }), /unknown plan format/i);
+	});
+});
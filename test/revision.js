@@ -0,0 +1,73 @@
+import { strict as assert } from 'assert';
+import { describe, it } from 'node:test';
+
+import { copy, readJSONSync } from '../src/utils.js';
+import diff from '../src/diff.js';
+import { fingerprint } from '../src/planFile.js';
+import { createScope } from '../src/scope.js';
+import { revisionParameter, getRevisionParameter, readRevision, recordRevision } from '../src/revision.js';
+
+const valid = readJSONSync('./fixtures/full.json');
+const { version } = readJSONSync('./package.json');
+
+// keeps global parameters in memory
+const fakeClient = () => {
+	const parameters = new Map();
+	return {
+		requestGlobalParameter: async (name) => parameters.get(name) ?? null,
+		request: async (method, path, body) => {
+			assert.equal(method, 'PUT');
+			assert.equal(path, `/api/global-parameters/${body.name}`);
+			parameters.set(body.name, body);
+			return '';
+		},
+	};
+};
+
+describe('revision', () => {
+	it('records deployments on the server', async () => {
+		const client = fakeClient();
+		assert.equal(await readRevision(client), null);
+
+		const scope = createScope({ vhosts: ['isolated'] });
+		const record = await recordRevision(client, { hash: fingerprint(valid), definitionsHash: fingerprint(valid), scope, revision: 'v1.2.3' });
+		assert.deepEqual(await readRevision(client, scope), record);
+		assert.equal(record.revision, 'v1.2.3');
+		assert.deepEqual(record.scope, scope);
+		assert.deepEqual(record.ignoreList, []);
+		assert.equal(record.version, version);
+		assert.ok(!Number.isNaN(Date.parse(record.deployedAt)));
+
+		const unscoped = await recordRevision(client, { hash: fingerprint(valid), definitionsHash: fingerprint(valid) });
+		assert.equal(unscoped.revision, null);
+		assert.equal(unscoped.scope, null);
+		assert.deepEqual(await readRevision(client), unscoped);
+	});
+
+	it('keeps a record per scope', async () => {
+		const client = fakeClient();
+		const teamA = createScope({ vhosts: ['a'] });
+		const teamB = createScope({ vhosts: ['b'], only: ['queues'] });
+		const recordA = await recordRevision(client, { hash: 'a', definitionsHash: 'a', scope: teamA, revision: 'a1' });
+		const recordB = await recordRevision(client, { hash: 'b', definitionsHash: 'b', scope: teamB, revision: 'b1' });
+		assert.equal(await readRevision(client), null);
+		assert.deepEqual(await readRevision(client, teamA), recordA);
+		assert.deepEqual(await readRevision(client, teamB), recordB);
+
+		assert.equal(getRevisionParameter(null), revisionParameter);
+		assert.notEqual(getRevisionParameter(teamA), getRevisionParameter(teamB));
+		assert.equal(getRevisionParameter(teamA), getRevisionParameter(createScope({ vhosts: ['a'] })));
+		assert.equal(getRevisionParameter(createScope({ vhosts: ['a', 'b'] })), getRevisionParameter(createScope({ vhosts: ['b', 'a'] })));
+	});
+
+	it('leaves the record out of diffs and fingerprints', () => {
+		const recorded = copy(valid);
+		const scope = createScope({ vhosts: ['isolated'] });
+		for (const [name, recordScope] of [[revisionParameter, null], [getRevisionParameter(scope), scope]]) {
+			recorded.global_parameters.push({ name, value: { hash: 'abc', definitionsHash: 'def', scope: recordScope, ignoreList: [], revision: null, version, deployedAt: new Date().toISOString() } });
+		}
+		assert.deepEqual(diff(valid, recorded).added.global_parameters, []);
+		assert.deepEqual(diff(recorded, valid).deleted.global_parameters, []);
+		assert.equal(fingerprint(recorded), fingerprint(valid));
+	});
+});
@@ -0,0 +1,116 @@
+import { strict as assert } from 'assert';
+import { describe, it } from 'node:test';
+
+import { copy, readJSONSync } from '../src/utils.js';
+import route, { matchTopic, matchHeaders } from '../src/route.js';
+import { exchange, queue, binding, exchangeBinding } from './helpers/resources.js';
+
+const valid = readJSONSync('./fixtures/full.json');
+
+const getDefinitions = () => {
+	const def = copy(valid);
+	def.exchanges.push(
+		exchange('t', 'topic'),
+		exchange('d', 'direct', { 'alternate-exchange': 'ae' }),
+		exchange('ae', 'fanout'),
+		exchange('h', 'headers'),
+		exchange('e2e', 'topic'),
+	);
+	def.queues.push(queue('q1'), queue('q2'), queue('q3'), queue('unrouted'));
+	def.bindings.push(
+		binding('t', 'q1', 'a.*.c'),
+		binding('t', 'q2', 'a.#'),
+		exchangeBinding('t', 'e2e', '#.c'),
+		binding('e2e', 'q3', '#'),
+		binding('d', 'q1', 'key'),
+		binding('ae', 'unrouted'),
+		binding('h', 'q1', '', { 'x-match': 'all', h1: 'v1', h2: 'v2' }),
+		binding('h', 'q2', '', { 'x-match': 'any', h1: 'v1', h2: 'v2' }),
+		binding('h', 'q3', '', { 'x-match': 'all-with-x', 'x-h': 'v' }),
+	);
+	return def;
+};
+
+const routedQueues = (message) => route(getDefinitions(), { vhost: '/', ...message }).queues.map(({ name }) => name).sort();
+
+describe('route', () => {
+	it('matches topic wildcards', () => {
+		assert.ok(matchTopic('a.b', 'a.b'));
+		assert.ok(matchTopic('a.*', 'a.b'));
+		assert.ok(!matchTopic('a.*', 'a.b.c'));
+		assert.ok(matchTopic('a.#', 'a'));
+		assert.ok(matchTopic('a.#', 'a.b.c'));
+		assert.ok(matchTopic('#.c', 'a.b.c'));
+		assert.ok(matchTopic('#', ''));
+		assert.ok(matchTopic('a.#.d', 'a.b.c.d'));
+		assert.ok(!matchTopic('a.*.d', 'a.d'));
+	});
+
+	it('matches headers', () => {
+		assert.ok(matchHeaders({ 'x-match': 'all', a: 1, b: 2 }, { a: 1, b: 2, c: 3 }));
+		assert.ok(!matchHeaders({ 'x-match': 'all', a: 1, b: 2 }, { a: 1 }));
+		assert.ok(matchHeaders({ 'x-match': 'any', a: 1, b: 2 }, { a: 1 }));
+		assert.ok(!matchHeaders({ 'x-match': 'any', a: 1 }, { a: '1' }));
+		assert.ok(matchHeaders({ 'x-match': 'all', 'x-a': 1 }, {}));
+		assert.ok(!matchHeaders({ 'x-match': 'all-with-x', 'x-a': 1 }, {}));
+		assert.ok(matchHeaders({ 'x-match': 'any-with-x', 'x-a': 1 }, { 'x-a': 1 }));
+	});
+
+	it('routes through topic and exchange-to-exchange bindings', () => {
+		assert.deepEqual(routedQueues({ exchange: 't', routingKey: 'a.b.c' }), ['q1', 'q2', 'q3']);
+		assert.deepEqual(routedQueues({ exchange: 't', routingKey: 'a.b' }), ['q2']);
+	});
+
+	it('reports the path through exchanges', () => {
+		const { queues } = route(getDefinitions(), { vhost: '/', exchange: 't', routingKey: 'x.c' });
+		assert.deepEqual(queues, [{ vhost: '/', name: 'q3', path: ['t', 'e2e'] }]);
+	});
+
+	it('falls back to the alternate exchange', () => {
+		assert.deepEqual(routedQueues({ exchange: 'd', routingKey: 'key' }), ['q1']);
+		assert.deepEqual(routedQueues({ exchange: 'd', routingKey: 'other' }), ['unrouted']);
+	});
+
+	it('routes through headers exchanges', () => {
+		assert.deepEqual(routedQueues({ exchange: 'h', headers: { h1: 'v1', h2: 'v2' } }), ['q1', 'q2']);
+		assert.deepEqual(routedQueues({ exchange: 'h', headers: { h2: 'v2' } }), ['q2']);
+		assert.deepEqual(routedQueues({ exchange: 'h', headers: { 'x-h': 'v' } }), ['q3']);
+	});
+
+	it('routes through the default exchange', () => {
+		assert.deepEqual(routedQueues({ exchange: '', routingKey: 'q2' }), ['q2']);
+	});
+
+	it('routes through built-in exchanges not in the definitions', () => {
+		const def = getDefinitions();
+		def.bindings.push(
+			binding('amq.direct', 'q1', 'key'),
+			binding('amq.topic', 'q2', 'a.#'),
+			binding('amq.fanout', 'q3'),
+			binding('amq.headers', 'q1', '', { h1: 'v1' }),
+			binding('amq.match', 'q2', '', { h1: 'v1' }),
+			exchangeBinding('amq.fanout', 't'),
+		);
+		const routed = (message) => route(def, { vhost: '/', ...message }).queues.map(({ name }) => name).sort();
+		assert.deepEqual(routed({ exchange: 'amq.direct', routingKey: 'key' }), ['q1']);
+		assert.deepEqual(routed({ exchange: 'amq.topic', routingKey: 'a.b' }), ['q2']);
+		assert.deepEqual(routed({ exchange: 'amq.fanout', routingKey: 'a.x.c' }), ['q1', 'q2', 'q3']);
+		assert.deepEqual(routed({ exchange: 'amq.headers', headers: { h1: 'v1' } }), ['q1']);
+		assert.deepEqual(routed({ exchange: 'amq.match', headers: { h1: 'v1' } }), ['q2']);
+		assert.equal(route(def, { vhost: 'isolated', exchange: 'amq.direct', routingKey: 'key' }).dropped, true);
+
+		def.exchanges.push(exchange('with-builtin-ae', 'direct', { 'alternate-exchange': 'amq.fanout' }));
+		assert.deepEqual(routed({ exchange: 'with-builtin-ae', routingKey: 'a.x.c' }), ['q1', 'q2', 'q3']);
+	});
+
+	it('reports dropped messages', () => {
+		const result = route(getDefinitions(), { vhost: '/', exchange: 't', routingKey: 'b' });
+		assert.equal(result.dropped, true);
+		assert.deepEqual(result.queues, []);
+		assert.deepEqual(result.unroutable, ['t']);
+	});
+
+	it('throws on missing exchange', () => {
+		assert.throws(() => route(getDefinitions(), { vhost: '/', exchange: 'missing' }), /missing exchange/i);
+	});
+});
@@ -0,0 +1,95 @@
+import { strict as assert } from 'assert';
+import { describe, it } from 'node:test';
+
+import { runGraph, withRetries, isTransientError, sleep } from '../src/scheduler.js';
+
+const httpError = (status) => Object.assign(new Error(`HTTP ${status}`), { status });
+
+describe('scheduler', () => {
+	describe('runGraph', () => {
+		it('runs tasks after their dependencies', async () => {
+			const order = [];
+			const results = await runGraph(4, [[1, 2], [], [1], []], async (idx) => {
+				order.push(idx);
+				return idx * 10;
+			}, { concurrency: 1 });
+			assert.deepEqual(order, [1, 2, 0, 3]);
+			assert.deepEqual(results.map(({ value }) => value), [0, 10, 20, 30]);
+		});
+
+		it('limits concurrency', async () => {
+			let running = 0;
+			let maxRunning = 0;
+			await runGraph(10, Array.from({ length: 10 }, () => []), async () => {
+				maxRunning = Math.max(maxRunning, ++running);
+				await sleep(1);
+				running--;
+			}, { concurrency: 3 });
+			assert.equal(maxRunning, 3);
+		});
+
+		it('skips tasks depending on failed tasks and runs the rest', async () => {
+			const ran = [];
+			const results = await runGraph(4, [[], [0], [1], []], async (idx) => {
+				ran.push(idx);
+				if (idx === 0) {
+					throw new Error('boom');
+				}
+			}, { concurrency: 2 });
+			assert.deepEqual(ran.sort(), [0, 3]);
+			assert.deepEqual(results.map(({ status }) => status), ['rejected', 'skipped', 'skipped', 'fulfilled']);
+			assert.equal(results[2].reason.message, 'boom');
+		});
+
+		it('skips tasks in dependency cycles', async () => {
+			const results = await runGraph(3, [[1], [0], []], async () => {}, { concurrency: 2 });
+			assert.deepEqual(results.map(({ status }) => status), ['skipped', 'skipped', 'fulfilled']);
+			assert.match(results[0].reason.message, /cycle/);
+		});
+
+		it('resolves with no tasks', async () => {
+			assert.deepEqual(await runGraph(0, [], async () => {}), []);
+		});
+	});
+
+	describe('withRetries', () => {
+		it('retries transient errors with exponential backoff', async () => {
+			const delays = [];
+			const result = await withRetries(async (attempt) => {
+				if (attempt < 2) {
+					throw httpError(503);
+				}
+				return 'ok';
+			}, { retries: 3, retryDelay: 1, onRetry: (err, delay) => delays.push(delay) });
+			assert.equal(result, 'ok');
+			assert.deepEqual(delays, [1, 2]);
+		});
+
+		it('gives up after retries', async () => {
+			let attempts = 0;
+			await assert.rejects(withRetries(async () => {
+				attempts++;
+				throw httpError(502);
+			}, { retries: 2, retryDelay: 0 }), /HTTP 502/);
+			assert.equal(attempts, 3);
+		});
+
+		it('does not retry other errors', async () => {
+			let attempts = 0;
+			await assert.rejects(withRetries(async () => {
+				attempts++;
+				throw httpError(400);
+			}, { retries: 2, retryDelay: 0 }), /HTTP 400/);
+			assert.equal(attempts, 1);
+		});
+	});
+
+	it('recognizes transient errors', () => {
+		assert.ok(isTransientError(httpError(500)));
+		assert.ok(isTransientError(httpError(429)));
+		assert.ok(!isTransientError(httpError(404)));
+		assert.ok(isTransientError(new Error('socket hang up', { cause: { code: 'ECONNRESET' } })));
+		assert.ok(isTransientError(Object.assign(new Error('refused'), { code: 'ECONNREFUSED' })));
+		assert.ok(!isTransientError(new Error('Invalid operation')));
+	});
+});
@@ -0,0 +1,123 @@
+import { strict as assert } from 'assert';
+import { describe, it, before, after, mock } from 'node:test';
+
+import { copy, readJSONSync } from '../src/utils.js';
+import { diffServerState } from '../src/deploy.utils.js';
+import { validateAll } from '../src/validate.js';
+import { createScope, inScope, scopeDefinitions, withReferences } from '../src/scope.js';
+
+const valid = readJSONSync('./fixtures/full.json');
+
+const withVhosts = () => {
+	const definitions = copy(valid);
+	for (const name of ['team-a', 'team-b', 'shared']) {
+		definitions.vhosts.push({ name });
+		definitions.queues.push({ name: 'work', vhost: name, durable: true, auto_delete: false, arguments: {} });
+	}
+	return definitions;
+};
+
+const vhostsOf = (definitions, type) => [...new Set(definitions[type].map(({ vhost, name }) => type === 'vhosts' ? name : vhost))];
+
+describe('scope', () => {
+	before(() => {
+		mock.method(console, 'log', () => {});
+		mock.method(console, 'warn', () => {});
+	});
+
+	after(() => {
+		mock.reset();
+	});
+
+	it('creates scopes only when something is filtered', () => {
+		assert.equal(createScope(), null);
+		assert.equal(createScope({ vhosts: [], only: [], except: [] }), null);
+		assert.deepEqual(createScope({ only: ['queues'] }), { vhosts: [], only: ['queues'], except: [] });
+		assert.throws(() => createScope({ only: ['queue'] }), /Invalid resource type "queue"/);
+		assert.throws(() => createScope({ except: ['topic-permissions'] }), /Invalid resource type/);
+	});
+
+	it('includes vhosts matching globs', () => {
+		const scoped = scopeDefinitions(withVhosts(), createScope({ vhosts: ['team-*'] }));
+		assert.deepEqual(vhostsOf(scoped, 'vhosts'), ['team-a', 'team-b']);
+		assert.deepEqual(vhostsOf(scoped, 'queues'), ['team-a', 'team-b']);
+		assert.deepEqual(scoped.bindings, []);
+	});
+
+	it('leaves out vhosts matching negated globs', () => {
+		const scoped = scopeDefinitions(withVhosts(), createScope({ vhosts: ['!team-?', '!/'] }));
+		assert.deepEqual(vhostsOf(scoped, 'vhosts'), ['isolated', 'shared']);
+		assert.deepEqual(vhostsOf(scoped, 'exchanges'), ['isolated']);
+		assert.deepEqual(scoped.permissions, []);
+	});
+
+	it('matches glob characters literally otherwise', () => {
+		const isInScope = inScope(createScope({ vhosts: ['a.b'] }));
+		assert.ok(isInScope('vhosts', { name: 'a.b' }));
+		assert.ok(!isInScope('vhosts', { name: 'axb' }));
+	});
+
+	it('leaves out resources outside of vhosts with vhost filters', () => {
+		const scoped = scopeDefinitions(withVhosts(), createScope({ vhosts: ['team-a'] }));
+		assert.deepEqual(scoped.users, []);
+		assert.deepEqual(scoped.global_parameters, []);
+		assert.deepEqual(scopeDefinitions(withVhosts(), createScope({ vhosts: ['!team-a'] })).users, []);
+	});
+
+	it('keeps resources outside of vhosts with vhost filters when only includes their type', () => {
+		const scoped = scopeDefinitions(withVhosts(), createScope({ vhosts: ['team-a'], only: ['users', 'queues'] }));
+		assert.deepEqual(scoped.users, valid.users);
+		assert.deepEqual(scoped.global_parameters, []);
+		assert.deepEqual(vhostsOf(scoped, 'queues'), ['team-a']);
+	});
+
+	it('filters resource types', () => {
+		const only = scopeDefinitions(withVhosts(), createScope({ only: ['queues', 'bindings'] }));
+		assert.equal(only.queues.length, 5);
+		assert.equal(only.bindings.length, valid.bindings.length);
+		assert.deepEqual(only.exchanges, []);
+		assert.deepEqual(only.users, []);
+		assert.equal(only.rabbit_version, valid.rabbit_version);
+
+		const except = scopeDefinitions(withVhosts(), createScope({ vhosts: ['/'], except: ['bindings'] }));
+		assert.deepEqual(except.bindings, []);
+		assert.deepEqual(vhostsOf(except, 'queues'), ['/']);
+	});
+
+	it('keeps the resources referred to by resources in scope', () => {
+		const scoped = scopeDefinitions(valid, createScope({ only: ['bindings'] }));
+		const referenced = withReferences(valid, scoped);
+		assert.deepEqual(referenced.bindings, valid.bindings);
+		assert.deepEqual(vhostsOf(referenced, 'vhosts').sort(), ['/', 'isolated']);
+		assert.deepEqual(referenced.users, []);
+		assert.ok(referenced.exchanges.length > 0 && referenced.exchanges.every((exchange) => valid.exchanges.includes(exchange)));
+		assert.equal(withReferences(valid, valid), valid);
+	});
+
+	it('validates parts of valid definitions without missing resources', () => {
+		for (const scope of [{ vhosts: ['/'] }, { only: ['queues'] }, { only: ['bindings'] }, { except: ['vhosts'] }, { vhosts: ['isolated'], only: ['permissions'] }]) {
+			const failures = validateAll(withReferences(valid, scopeDefinitions(valid, createScope(scope))));
+			assert.deepEqual(failures.map(({ message }) => message), [], JSON.stringify(scope));
+		}
+	});
+
+	it('does not change definitions without a scope', () => {
+		const definitions = withVhosts();
+		assert.equal(scopeDefinitions(definitions, null), definitions);
+	});
+
+	it('does not diff resources outside of the scope', () => {
+		const server = withVhosts();
+		const definitions = copy(valid);
+		definitions.queues.find(({ vhost }) => vhost === '/').arguments = { 'x-message-ttl': 1000 };
+		const state = { bindings: [], definitions: server };
+
+		const unscoped = diffServerState(state, definitions, null);
+		assert.equal(unscoped.deleted.vhosts.length, 3);
+
+		const changes = diffServerState(state, definitions, null, createScope({ vhosts: ['!team-*', '!shared'] }));
+		assert.deepEqual(changes.deleted.vhosts, []);
+		assert.deepEqual(changes.deleted.queues, []);
+		assert.equal(changes.changed.queues.length, 1);
+	});
+});
@@ -0,0 +1,50 @@
+import { strict as assert } from 'assert';
+import { describe, it, before, after, mock } from 'node:test';
+import { mkdtempSync, rmSync, readdirSync, statSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+import { copy, readJSONSync } from '../src/utils.js';
+import { takeSnapshot, readSnapshotSync } from '../src/snapshot.js';
+
+const valid = readJSONSync('./fixtures/full.json');
+
+const fakeClient = {
+	baseUrl: 'http://localhost:15672/',
+	requestDefinitions: async () => copy(valid),
+};
+
+describe('snapshot', () => {
+	let dir;
+
+	before(() => {
+		dir = mkdtempSync(path.join(tmpdir(), 'rtb-snapshot-'));
+		mock.method(console, 'warn', () => {});
+	});
+
+	after(() => {
+		rmSync(dir, { recursive: true });
+		mock.reset();
+	});
+
+	it('saves the server state to a new directory named after the time', async () => {
+		const snapshotDir = path.join(dir, 'snapshots');
+		const snapshotPath = await takeSnapshot(fakeClient, snapshotDir);
+		assert.equal(path.dirname(snapshotPath), snapshotDir);
+		assert.match(path.basename(snapshotPath), /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}\.\d{3}Z$/);
+		assert.deepEqual(readdirSync(snapshotPath).sort(), ['definitions.json', 'snapshot.json']);
+		assert.equal(statSync(path.join(snapshotPath, 'definitions.json')).mode & 0o077, 0);
+		assert.equal(statSync(snapshotPath).mode & 0o077, 0);
+	});
+
+	it('reads a saved snapshot', async () => {
+		const snapshot = readSnapshotSync(await takeSnapshot(fakeClient, dir));
+		assert.equal(snapshot.server, fakeClient.baseUrl);
+		assert.ok(!Number.isNaN(Date.parse(snapshot.createdAt)));
+		assert.deepEqual(snapshot.definitions, valid);
+	});
+
+	it('rejects directories without a complete snapshot', () => {
+		assert.throws(() => readSnapshotSync(dir), /No complete snapshot at/);
+	});
+});
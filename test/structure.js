@@ -78,6 +78,22 @@ describe('asserting structure', () => {
 		});
 	});
 
+	describe('permission patterns', () => {
+		it('valid', () => {
+			assertPart('permissions', [{ user: 'u', vhost: '/', configure: '', write: '^amq\\.', read: '.*' }]);
+			assertPart('topic_permissions', [{ user: 'u', vhost: '/', exchange: 'e', write: '^{username}\\.', read: '.*' }]);
+		});
+
+		it('invalid', () => {
+			assert.throws(() => {
+				assertPart('permissions', [{ user: 'u', vhost: '/', configure: '(', write: '', read: '' }]);
+			}, /invalid regular expression "\("/i);
+			assert.throws(() => {
+				assertPart('topic_permissions', [{ user: 'u', vhost: '/', exchange: 'e', write: '', read: '[a-' }]);
+			}, /invalid regular expression "\[a-"/i);
+		});
+	});
+
 	describe('pattern matching names', () => {
 		it('users', () => {
 			/* Should pass because users pattern is configured to deny "uu" in the beginning */
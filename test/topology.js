@@ -0,0 +1,119 @@
+import { strict as assert } from 'assert';
+import { describe, it, before, after, mock } from 'node:test';
+
+import { copy, readJSONSync } from '../src/utils.js';
+import analyzeTopology, { formatPath } from '../src/topology.js';
+import assertRelations, { validateRelations } from '../src/relations.js';
+import { exchange, queue, binding, exchangeBinding } from './helpers/resources.js';
+
+const valid = readJSONSync('./fixtures/full.json');
+
+const names = (path) => path.map(({ name }) => name);
+
+describe('topology', () => {
+	before(() => {
+		mock.method(console, 'log', () => {});
+		mock.method(console, 'warn', () => {});
+		mock.method(console, 'error', () => {});
+	});
+
+	after(() => {
+		mock.reset();
+	});
+
+	it('finds nothing in a valid definitions file', () => {
+		const { cycles, unreachableQueues, deadEnds, unpublishedInternal } = analyzeTopology(copy(valid));
+		assert.deepEqual(cycles, []);
+		assert.deepEqual(unreachableQueues, []);
+		assert.deepEqual(deadEnds, []);
+		assert.deepEqual(unpublishedInternal, []);
+	});
+
+	it('finds exchange-to-exchange cycles', () => {
+		const def = copy(valid);
+		def.exchanges.push(exchange('a', 'fanout'), exchange('b', 'fanout'), exchange('c', 'fanout'));
+		def.queues.push(queue('q'));
+		def.bindings.push(
+			exchangeBinding('a', 'b'),
+			exchangeBinding('b', 'c'),
+			exchangeBinding('c', 'a'),
+			binding('c', 'q'),
+		);
+
+		const { cycles } = analyzeTopology(def);
+		assert.equal(cycles.length, 1);
+		assert.deepEqual(names(cycles[0]), ['a', 'b', 'c', 'a']);
+
+		assert.doesNotThrow(() => assertRelations(def));
+		assert.ok(console.warn.mock.calls.some(({ arguments: [message] }) => /^Warning: Exchange-to-exchange binding cycle.*exchange "a" -> exchange "b" -> exchange "c" -> exchange "a"$/.test(message)));
+		assert.deepEqual(validateRelations(def), []);
+	});
+
+	it('finds overlapping cycles', () => {
+		const def = copy(valid);
+		def.exchanges.push(exchange('a', 'fanout'), exchange('b', 'fanout'), exchange('c', 'fanout'));
+		def.bindings.push(
+			exchangeBinding('a', 'b'),
+			exchangeBinding('a', 'c'),
+			exchangeBinding('b', 'c'),
+			exchangeBinding('c', 'a'),
+			exchangeBinding('c', 'a', 'other'),
+			exchangeBinding('c', 'c'),
+		);
+
+		const { cycles } = analyzeTopology(def);
+		assert.deepEqual(cycles.map(names), [
+			['a', 'b', 'c', 'a'],
+			['a', 'c', 'a'],
+			['c', 'c'],
+		]);
+	});
+
+	it('finds queues and internal exchanges nothing publishes into', () => {
+		const def = copy(valid);
+		def.exchanges.push(exchange('int1', 'fanout', {}, { internal: true }), exchange('int2', 'fanout', {}, { internal: true }));
+		def.queues.push(queue('q'));
+		def.bindings.push(
+			exchangeBinding('int1', 'int2'),
+			binding('int2', 'q'),
+		);
+
+		const { unreachableQueues, unpublishedInternal } = analyzeTopology(def);
+		assert.deepEqual(unreachableQueues.map(names), [['int1', 'int2', 'q']]);
+		assert.deepEqual(unpublishedInternal.map(names), [['int1'], ['int1', 'int2']]);
+		assert.equal(formatPath(unreachableQueues[0]), 'exchange "int1" -> exchange "int2" -> queue "q"');
+	});
+
+	it('does not report internal exchanges reachable from a publishable one', () => {
+		const def = copy(valid);
+		def.exchanges.push(exchange('pub', 'fanout'), exchange('int', 'fanout', {}, { internal: true }));
+		def.queues.push(queue('q'));
+		def.bindings.push(
+			exchangeBinding('pub', 'int'),
+			binding('int', 'q'),
+		);
+
+		const { unreachableQueues, unpublishedInternal, deadEnds } = analyzeTopology(def);
+		assert.deepEqual(unreachableQueues, []);
+		assert.deepEqual(unpublishedInternal, []);
+		assert.deepEqual(deadEnds, []);
+	});
+
+	it('finds exchanges that cannot reach any queue', () => {
+		const def = copy(valid);
+		def.exchanges.push(
+			exchange('a', 'fanout'),
+			exchange('b', 'fanout'),
+			exchange('with-ae', 'direct', { 'alternate-exchange': 'ae' }),
+			exchange('ae', 'fanout'),
+		);
+		def.queues.push(queue('q'));
+		def.bindings.push(
+			exchangeBinding('a', 'b'),
+			binding('ae', 'q'),
+		);
+
+		const { deadEnds } = analyzeTopology(def);
+		assert.deepEqual(deadEnds.map(names), [['a', 'b'], ['b']]);
+	});
+});